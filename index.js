@@ -2,6 +2,21 @@ const express = require('express');
 const multer = require('multer');
 const { importJobsFromXmlBuffer } = require('./utils/importJobsUtil.js');
 const uploadAndPublishRoute = require('./routes/uploadAndPublish.js'); // ✅ Import new route
+const publishJobsRoute = require('./routes/publishJobs.js');
+const maintenanceRoute = require('./routes/maintenance.js');
+const vacanciesRoute = require('./routes/vacancies.js');
+const { startPublishWorker } = require('./utils/publishQueue.js');
+const { startExpirySweeper } = require('./utils/expirySweeper.js');
+const { requireRole } = require('./middleware/auth.js');
+const auditRoute = require('./routes/audit.js');
+const templatesRoute = require('./routes/templates.js');
+const importsRoute = require('./routes/imports.js');
+const vkCredentialsRoute = require('./routes/vkCredentials.js');
+const gazetteerRoute = require('./routes/gazetteer.js');
+const companiesRoute = require('./routes/companies.js');
+const { recordAudit } = require('./utils/auditLog.js');
+const { recoverStaleImportBatches } = require('./utils/importBatches.js');
+const { migrateLegacyVkTokens } = require('./utils/vkCredentials.js');
 require('dotenv').config(); // ✅ Load environment variables
 
 const app = express();
@@ -12,23 +27,73 @@ app.use(express.json());
 
 // ✅ Mount the new route
 app.use('/upload-and-publish', uploadAndPublishRoute);
+app.use('/publish-jobs', publishJobsRoute);
+app.use('/maintenance', maintenanceRoute);
+app.use('/vacancies', vacanciesRoute);
+app.use('/audit', auditRoute);
+app.use('/templates', templatesRoute);
+app.use('/imports', importsRoute);
+app.use('/vk-credentials', vkCredentialsRoute);
+app.use('/gazetteer', gazetteerRoute);
+app.use('/companies', companiesRoute);
 
 // ✅ Existing XML upload route
-app.post('/upload', upload.single('xmlfile'), async (req, res) => {
+app.post('/upload', requireRole('editor'), upload.single('xmlfile'), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'Файл XML не был загружен' });
   }
 
-  const result = await importJobsFromXmlBuffer(req.file.buffer);
+  const result = await importJobsFromXmlBuffer(req.file.buffer, {
+    rejectInvalid: req.body.rejectInvalid === 'true',
+    fileName: req.file.originalname,
+    user: req.user,
+    force: req.body.force === 'true'
+  });
+
+  if (result.duplicate) {
+    return res.status(409).json({
+      error: result.error,
+      originalImport: result.duplicateOf,
+      originalImportUrl: `/imports/${result.duplicateOf.id}`
+    });
+  }
+
+  await recordAudit({
+    user: req.user,
+    action: 'import',
+    jobIds: [...(result.insertedIds || []), ...(result.updatedIds || [])],
+    changes: result.changes || [],
+    details: {
+      file_name: req.file.originalname,
+      batch_id: result.batchId || null,
+      success: result.success,
+      error: result.error || null,
+      inserted: result.inserted,
+      updated: result.updated,
+      skipped: result.skipped
+    }
+  });
 
   if (!result.success) {
-    return res.status(500).json({ error: result.error, details: result.details });
+    return res.status(500).json({ error: result.error, details: result.details, batchId: result.batchId, report: result.report });
   }
 
-  res.json({ message: result.message, count: result.count });
+  res.json({
+    message: result.message,
+    count: result.count,
+    inserted: result.inserted,
+    updated: result.updated,
+    skipped: result.skipped,
+    batchId: result.batchId,
+    report: result.report
+  });
 });
 
 // ✅ Start the server
-app.listen(port, () => {
+app.listen(port, async () => {
   console.log(`🚀 Сервер запущен на http://localhost:${port}`);
+  await migrateLegacyVkTokens(); // 🔐 Plaintext tokens from access_tokens, before anything posts
+  startPublishWorker(); // 📬 Background VK publishing queue
+  startExpirySweeper(); // 🗄️ Archive vacancies past their depub_date
+  recoverStaleImportBatches(); // 🟠 Uploads cut short by the previous run
 });
@@ -0,0 +1,117 @@
+// middleware/auth.js
+// API key or JWT authentication with three nested roles:
+//   viewer    – read vacancies and publishing status
+//   editor    – viewer + XML import and vacancy edits
+//   publisher – editor + VK/Telegram posting and deletions
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config();
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+const ROLES = ['viewer', 'editor', 'publisher'];
+const API_KEY_CACHE_TTL_MS = 60 * 1000;
+
+const apiKeyCache = new Map();
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function hasRole(user, requiredRole) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(requiredRole);
+}
+
+function getCredentials(req) {
+  const apiKey = req.get('x-api-key');
+  if (apiKey) return { type: 'api_key', value: apiKey };
+
+  const authorization = req.get('authorization') || '';
+  const [scheme, token] = authorization.split(' ');
+  if (scheme?.toLowerCase() !== 'bearer' || !token) return null;
+
+  // Three dot-separated segments is a JWT, anything else is an API key sent as a bearer token
+  return { type: token.split('.').length === 3 ? 'jwt' : 'api_key', value: token };
+}
+
+async function authenticateApiKey(key) {
+  const keyHash = hashApiKey(key);
+  const cached = apiKeyCache.get(keyHash);
+  if (cached && cached.expiresAt > Date.now()) return cached.user;
+
+  const { data, error } = await supabase
+    .from('api_keys')
+    .select('id, name, role')
+    .eq('key_hash', keyHash)
+    .is('revoked_at', null)
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+
+  const user = data && ROLES.includes(data.role)
+    ? { id: `api_key:${data.id}`, name: data.name, role: data.role, authType: 'api_key' }
+    : null;
+
+  apiKeyCache.set(keyHash, { user, expiresAt: Date.now() + API_KEY_CACHE_TTL_MS });
+  return user;
+}
+
+// The role is read from `app_role`, then `app_metadata.role` (Supabase), then `role`
+function authenticateJwt(token) {
+  if (!process.env.JWT_SECRET) return null;
+
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    const role = payload.app_role || payload.app_metadata?.role || payload.role;
+    if (!ROLES.includes(role)) return null;
+
+    return {
+      id: payload.sub ? `user:${payload.sub}` : 'user:unknown',
+      name: payload.email || payload.name || payload.sub || null,
+      role,
+      authType: 'jwt'
+    };
+  } catch (err) {
+    return null;
+  }
+}
+
+async function authenticate(req, res, next) {
+  const credentials = getCredentials(req);
+
+  if (!credentials) {
+    return res.status(401).json({ success: false, error: 'Требуется авторизация' });
+  }
+
+  try {
+    const user = credentials.type === 'jwt'
+      ? authenticateJwt(credentials.value)
+      : await authenticateApiKey(credentials.value);
+
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Неверный ключ или токен доступа' });
+    }
+
+    req.user = user;
+    return next();
+  } catch (err) {
+    console.error('❌ Ошибка проверки авторизации:', err);
+    return res.status(500).json({ success: false, error: 'Внутренняя ошибка сервера' });
+  }
+}
+
+// authenticate + role check in one middleware
+function requireRole(role) {
+  return [
+    authenticate,
+    (req, res, next) => {
+      if (!hasRole(req.user, role)) {
+        return res.status(403).json({ success: false, error: `Недостаточно прав: требуется роль ${role}` });
+      }
+      return next();
+    }
+  ];
+}
+
+module.exports = { authenticate, requireRole, hasRole, hashApiKey, ROLES };
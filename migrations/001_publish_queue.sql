@@ -0,0 +1,28 @@
+-- Persistent VK publishing queue used by utils/publishQueue.js
+
+create table if not exists publish_jobs (
+  id bigserial primary key,
+  options jsonb not null default '{}'::jsonb,
+  total_items integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists publish_queue_items (
+  id bigserial primary key,
+  publish_job_id bigint not null references publish_jobs(id) on delete cascade,
+  position integer not null,
+  job_ids bigint[] not null default '{}',
+  job_titles text[] not null default '{}',
+  message text not null,
+  status text not null default 'pending', -- pending | processing | retrying | success | failed
+  attempts integer not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  last_error text,
+  vk_post_id bigint,
+  vk_link text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists publish_queue_items_due_idx
+  on publish_queue_items (status, next_attempt_at);
@@ -0,0 +1,5 @@
+-- Deferred VK publication (wall.post publish_date)
+
+alter table publish_queue_items add column if not exists publish_date timestamptz;
+
+alter table jobs add column if not exists scheduled_publication_at timestamptz;
@@ -0,0 +1,9 @@
+-- Structured salary parsed from ZARPL by utils/salaryParser.js
+
+alter table jobs add column if not exists salary_min integer;
+alter table jobs add column if not exists salary_max integer;
+alter table jobs add column if not exists currency text;
+alter table jobs add column if not exists period text; -- month | shift | hour
+alter table jobs add column if not exists is_negotiable boolean not null default false;
+
+create index if not exists jobs_salary_range_idx on jobs (salary_min, salary_max);
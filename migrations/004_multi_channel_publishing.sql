@@ -0,0 +1,9 @@
+-- Publishing to several channels (VK wall, Telegram channel)
+
+alter table publish_queue_items add column if not exists channel text not null default 'vk';
+alter table publish_queue_items rename column vk_post_id to post_id;
+alter table publish_queue_items alter column post_id type text using post_id::text;
+alter table publish_queue_items rename column vk_link to post_link;
+
+-- { "vk": "https://vk.com/wall-1_2", "telegram": "https://t.me/channel/3" }
+alter table jobs add column if not exists channel_links jsonb not null default '{}'::jsonb;
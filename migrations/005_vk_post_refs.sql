@@ -0,0 +1,6 @@
+-- Reference to the VK wall post a job was published in, for wall.edit / wall.delete
+
+alter table jobs add column if not exists vk_owner_id bigint;
+alter table jobs add column if not exists vk_post_id bigint;
+
+create index if not exists jobs_vk_post_idx on jobs (vk_owner_id, vk_post_id);
@@ -0,0 +1,12 @@
+-- Results of background maintenance tasks (expiry sweeper)
+
+create table if not exists maintenance_runs (
+  id bigserial primary key,
+  task text not null,
+  started_at timestamptz not null,
+  finished_at timestamptz,
+  success boolean not null default false,
+  result jsonb not null default '{}'::jsonb
+);
+
+create index if not exists maintenance_runs_task_idx on maintenance_runs (task, started_at desc);
@@ -0,0 +1,13 @@
+-- API keys for middleware/auth.js. Only the SHA-256 hash of a key is stored.
+-- Issue a key:
+--   insert into api_keys (name, role, key_hash)
+--   values ('frontend', 'editor', encode(sha256('<random secret>'::bytea), 'hex'));
+
+create table if not exists api_keys (
+  id bigserial primary key,
+  name text not null,
+  role text not null check (role in ('viewer', 'editor', 'publisher')),
+  key_hash text not null unique,
+  created_at timestamptz not null default now(),
+  revoked_at timestamptz
+);
@@ -0,0 +1,19 @@
+-- Audit trail written by utils/auditLog.js
+
+create table if not exists audit_log (
+  id bigserial primary key,
+  created_at timestamptz not null default now(),
+  actor_id text not null,
+  actor jsonb not null default '{}'::jsonb,
+  action text not null, -- import | import_and_publish | vacancy_update | vacancy_delete | vacancy_archive | publish | vk_post_edit | vk_post_delete
+  job_ids bigint[] not null default '{}',
+  changes jsonb not null default '[]'::jsonb,
+  details jsonb not null default '{}'::jsonb
+);
+
+create index if not exists audit_log_created_at_idx on audit_log (created_at desc);
+create index if not exists audit_log_action_idx on audit_log (action);
+create index if not exists audit_log_actor_idx on audit_log (actor_id);
+create index if not exists audit_log_job_ids_idx on audit_log using gin (job_ids);
+
+alter table publish_jobs add column if not exists requested_by jsonb;
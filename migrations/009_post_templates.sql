@@ -0,0 +1,10 @@
+-- Named Handlebars templates for post text (utils/postTemplates.js)
+
+create table if not exists post_templates (
+  id bigserial primary key,
+  name text not null unique,
+  description text,
+  body text not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
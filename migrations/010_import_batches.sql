@@ -0,0 +1,25 @@
+-- Upload history and batch rollback (utils/importBatches.js)
+
+create table if not exists import_batches (
+  id bigserial primary key,
+  created_at timestamptz not null default now(),
+  finished_at timestamptz,
+  file_name text,
+  checksum text not null, -- sha256 of the uploaded file
+  uploaded_by jsonb not null default '{}'::jsonb,
+  row_count integer not null default 0,
+  status text not null default 'in_progress', -- in_progress | completed | failed | rolled_back
+  inserted_job_ids bigint[] not null default '{}',
+  updated_job_ids bigint[] not null default '{}',
+  updated_snapshots jsonb not null default '[]'::jsonb, -- [{ id, before }] rows as they were before the upload
+  error text,
+  rolled_back_at timestamptz,
+  rolled_back_by jsonb
+);
+
+create index if not exists import_batches_created_at_idx on import_batches (created_at desc);
+create index if not exists import_batches_checksum_idx on import_batches (checksum);
+
+alter table jobs add column if not exists batch_id bigint references import_batches (id) on delete set null;
+
+create index if not exists jobs_batch_id_idx on jobs (batch_id);
@@ -0,0 +1,26 @@
+-- VK tokens per target community (utils/vkCredentials.js). Tokens are
+-- AES-256-GCM encrypted with CREDENTIALS_ENCRYPTION_KEY; add them through
+-- POST /vk-credentials. Plaintext rows of the old access_tokens table are moved
+-- here at startup (migrateLegacyVkTokens) and are never used to publish.
+
+create table if not exists vk_credentials (
+  id bigserial primary key,
+  label text,
+  group_id bigint not null, -- community id, posts go to owner_id = -group_id
+  group_name text,
+  token_encrypted text not null,
+  token_last4 text not null,
+  token_type text, -- user | group
+  scopes text[] not null default '{}',
+  expires_at timestamptz, -- null: does not expire (offline scope)
+  is_default boolean not null default false,
+  validated_at timestamptz,
+  validation_error text,
+  created_at timestamptz not null default now(),
+  created_by jsonb,
+  rotated_at timestamptz,
+  revoked_at timestamptz
+);
+
+create index if not exists vk_credentials_group_idx on vk_credentials (group_id) where revoked_at is null;
+create unique index if not exists vk_credentials_single_default_idx on vk_credentials (is_default) where is_default and revoked_at is null;
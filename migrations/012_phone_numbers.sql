@@ -0,0 +1,5 @@
+-- Normalized phone numbers (utils/phoneNumbers.js). `phone` stays as display text;
+-- rows imported earlier keep only `phone` until they are re-imported or edited.
+
+alter table jobs add column if not exists phones text[] not null default '{}'; -- E.164, e.g. +78314123456
+alter table jobs add column if not exists invalid_phones text[] not null default '{}'; -- raw values that could not be parsed
@@ -0,0 +1,24 @@
+-- Structured work locations and the local settlement dataset (utils/gazetteer.js)
+
+create table if not exists settlements (
+  id bigserial primary key,
+  name text not null,
+  type text, -- город, село, деревня, рабочий посёлок, ...
+  district text,
+  region text,
+  lat double precision,
+  lon double precision,
+  population integer,
+  code text -- OKTMO / FIAS id from the source dataset
+);
+
+create index if not exists settlements_name_idx on settlements (lower(name));
+
+-- [{ region, district, settlement_type, settlement, city, street, house, raw,
+--    normalized: { settlement_id, name, type, district, region, lat, lon }, match }]
+alter table jobs add column if not exists locations jsonb not null default '[]'::jsonb;
+alter table jobs add column if not exists location_cities text[] not null default '{}';
+alter table jobs add column if not exists location_districts text[] not null default '{}';
+
+create index if not exists jobs_location_cities_idx on jobs using gin (location_cities);
+create index if not exists jobs_location_districts_idx on jobs using gin (location_districts);
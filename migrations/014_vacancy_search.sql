@@ -0,0 +1,32 @@
+-- Typed filters and full-text search for GET /vacancies (utils/vacancyFilters.js)
+
+-- full_week, shift, rotation, flexible, part_time, night; set by the parser from the schedule text
+alter table jobs add column if not exists schedule_types text[] not null default '{}';
+-- Normalized region keys next to location_cities / location_districts (utils/gazetteer.js)
+alter table jobs add column if not exists location_regions text[] not null default '{}';
+
+alter table jobs add column if not exists search_vector tsvector
+  generated always as (
+    setweight(to_tsvector('russian', coalesce(job_title, '')), 'A') ||
+    setweight(to_tsvector('russian', coalesce(responsibilities, '')), 'B') ||
+    setweight(to_tsvector('russian', coalesce(requirements, '')), 'B')
+  ) stored;
+
+create index if not exists jobs_search_vector_idx on jobs using gin (search_vector);
+create index if not exists jobs_schedule_types_idx on jobs using gin (schedule_types);
+create index if not exists jobs_location_regions_idx on jobs using gin (location_regions);
+create index if not exists jobs_company_inn_idx on jobs (company_inn);
+create index if not exists jobs_rubr_atryb_idx on jobs (rubr_atryb);
+
+-- Same patterns as SCHEDULE_TYPE_PATTERNS in utils/jobXmlParser.js
+update jobs set schedule_types = array_remove(array[
+  case when schedule ~* '5/2|пн\s*-\s*пт|пятидневк|полный день' then 'full_week' end,
+  case when schedule ~* '2/2|1/3|3/3|сменн|смена|сутки через' then 'shift' end,
+  case when schedule ~* 'вахт' then 'rotation' end,
+  case when schedule ~* 'гибк|свободн' then 'flexible' end,
+  case when schedule ~* 'неполн|частичн|подработ' then 'part_time' end,
+  case when schedule ~* 'ночн' then 'night' end
+], null)
+where schedule is not null;
+
+-- location_regions of existing rows is filled by POST /gazetteer/regeocode
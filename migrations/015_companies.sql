@@ -0,0 +1,25 @@
+-- Employer profiles keyed by INN, filled by the importer (utils/companies.js)
+
+create table if not exists companies (
+  inn text primary key,
+  name text, -- as in the latest imported feed, overwritten on every import
+  display_name text, -- shown in posts instead of name when set
+  description text,
+  website text,
+  email text,
+  phone text,
+  hide_name_in_posts boolean not null default false, -- default when a publish request does not set hideCompanyName
+  last_imported_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists companies_name_idx on companies (lower(name));
+
+-- Companies of vacancies imported before this table existed
+insert into companies (inn, name, last_imported_at)
+select distinct on (company_inn) company_inn, company_name, created_at
+from jobs
+where company_inn is not null and company_inn <> ''
+order by company_inn, account_date desc nulls last
+on conflict (inn) do nothing;
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const { createClient } = require('@supabase/supabase-js');
+const { requireRole } = require('../middleware/auth');
+const { isValidDate } = require('../utils/vacancyFilters');
+
+require('dotenv').config();
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// GET /audit?action=&actor_id=&job_id=&date_from=&date_to=&page=&limit=
+router.get('/', requireRole('publisher'), async (req, res) => {
+  const { action, actor_id, job_id, date_from, date_to, page = '1', limit = String(DEFAULT_LIMIT) } = req.query;
+  const pageNum = Number(page);
+  const limitNum = Number(limit);
+
+  if (!Number.isInteger(pageNum) || pageNum < 1) {
+    return res.status(400).json({ success: false, error: 'page должен быть положительным целым числом' });
+  }
+  if (!Number.isInteger(limitNum) || limitNum < 1 || limitNum > MAX_LIMIT) {
+    return res.status(400).json({ success: false, error: `limit должен быть от 1 до ${MAX_LIMIT}` });
+  }
+  if (job_id !== undefined && !/^\d+$/.test(job_id)) {
+    return res.status(400).json({ success: false, error: 'job_id должен быть положительным целым числом' });
+  }
+  if ((date_from && !isValidDate(date_from)) || (date_to && !isValidDate(date_to))) {
+    return res.status(400).json({ success: false, error: 'date_from и date_to должны быть датами (YYYY-MM-DD)' });
+  }
+
+  const offset = (pageNum - 1) * limitNum;
+  let query = supabase.from('audit_log').select('*', { count: 'exact' });
+
+  if (action) query = query.in('action', String(action).split(','));
+  if (actor_id) query = query.eq('actor_id', actor_id);
+  if (job_id) query = query.contains('job_ids', [Number(job_id)]);
+  if (date_from) query = query.gte('created_at', date_from);
+  // date_to is inclusive: compare against the start of the next day
+  if (date_to) {
+    const nextDay = new Date(date_to);
+    nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+    query = query.lt('created_at', nextDay.toISOString());
+  }
+
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limitNum - 1);
+
+  if (error) {
+    console.error('❌ Ошибка чтения журнала аудита:', error);
+    return res.status(500).json({ success: false, error: 'Не удалось получить журнал аудита' });
+  }
+
+  return res.json({ success: true, totalCount: count, page: pageNum, limit: limitNum, entries: data });
+});
+
+module.exports = router;
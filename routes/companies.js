@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const { createClient } = require('@supabase/supabase-js');
+const { requireRole } = require('../middleware/auth');
+const { recordAudit, diffObjects } = require('../utils/auditLog');
+const { listCompanies, getCompany, validateCompanyUpdate, updateCompany } = require('../utils/companies');
+const {
+  parseListQuery,
+  applyVacancyFilters,
+  orderVacancies,
+  applyCursor,
+  encodeCursor,
+  INN_REGEX
+} = require('../utils/vacancyFilters');
+
+require('dotenv').config();
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+const MAX_LIMIT = 200;
+
+function checkInn(req, res) {
+  if (INN_REGEX.test(req.params.inn)) return true;
+  res.status(400).json({ success: false, error: 'ИНН должен состоять из 10 или 12 цифр' });
+  return false;
+}
+
+// GET /companies?search=&page=&limit=
+router.get('/', requireRole('viewer'), async (req, res) => {
+  const page = Number(req.query.page || 1);
+  const limit = Number(req.query.limit || 50);
+  const search = req.query.search ? String(req.query.search).trim() : null;
+
+  if (!Number.isInteger(page) || page < 1) {
+    return res.status(400).json({ success: false, error: 'page должен быть положительным целым числом' });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return res.status(400).json({ success: false, error: `limit должен быть от 1 до ${MAX_LIMIT}` });
+  }
+
+  try {
+    const { companies, totalCount } = await listCompanies({ search, page, limit });
+    return res.json({ success: true, totalCount, page, limit, companies });
+  } catch (err) {
+    console.error('❌ Ошибка получения компаний:', err);
+    return res.status(500).json({ success: false, error: 'Не удалось получить компании' });
+  }
+});
+
+router.get('/:inn', requireRole('viewer'), async (req, res) => {
+  if (!checkInn(req, res)) return;
+
+  try {
+    const company = await getCompany(req.params.inn);
+    if (!company) return res.status(404).json({ success: false, error: 'Компания не найдена' });
+
+    return res.json({ success: true, company });
+  } catch (err) {
+    console.error('❌ Ошибка получения компании:', err);
+    return res.status(500).json({ success: false, error: 'Не удалось получить компанию' });
+  }
+});
+
+// Same filters and cursor paging as GET /vacancies, limited to the company
+router.get('/:inn/vacancies', requireRole('viewer'), async (req, res) => {
+  if (!checkInn(req, res)) return;
+
+  const { filters, error: validationError } = parseListQuery({ ...req.query, company_inn: req.params.inn });
+  if (validationError) {
+    return res.status(400).json({ success: false, error: validationError });
+  }
+
+  let query = applyVacancyFilters(supabase.from('jobs').select('*', { count: 'exact' }), filters);
+  query = orderVacancies(applyCursor(query, filters), filters).limit(filters.limit);
+
+  const { data, error, count } = await query;
+  if (error) {
+    console.error('❌ Ошибка получения вакансий компании:', error);
+    return res.status(500).json({ success: false, error: 'Не удалось получить вакансии компании' });
+  }
+
+  return res.json({
+    success: true,
+    totalCount: count,
+    limit: filters.limit,
+    nextCursor: data.length === filters.limit ? encodeCursor(data[data.length - 1], filters) : null,
+    vacancies: data
+  });
+});
+
+// Editable profile fields only; `name` follows the feed and is set by the importer
+router.patch('/:inn', requireRole('editor'), async (req, res) => {
+  if (!checkInn(req, res)) return;
+
+  const { update, error: validationError } = validateCompanyUpdate(req.body || {});
+  if (validationError) return res.status(400).json({ success: false, error: validationError });
+
+  try {
+    const before = await getCompany(req.params.inn);
+    if (!before) return res.status(404).json({ success: false, error: 'Компания не найдена' });
+
+    const company = await updateCompany(req.params.inn, update);
+
+    await recordAudit({
+      user: req.user,
+      action: 'company_update',
+      details: { inn: company.inn, changes: diffObjects(before, company) }
+    });
+
+    return res.json({ success: true, company });
+  } catch (err) {
+    console.error('❌ Ошибка обновления компании:', err);
+    return res.status(500).json({ success: false, error: 'Не удалось обновить компанию' });
+  }
+});
+
+module.exports = router;
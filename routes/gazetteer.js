@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { requireRole } = require('../middleware/auth');
+const { recordAudit } = require('../utils/auditLog');
+const { parseGazetteerCsv, importSettlements, searchSettlements, regeocodeStoredJobs } = require('../utils/gazetteer');
+
+const upload = multer({ storage: multer.memoryStorage() });
+
+// GET /gazetteer/search?q=Кстово
+router.get('/search', requireRole('viewer'), async (req, res) => {
+  const query = String(req.query.q || '').trim();
+  if (query.length < 2) {
+    return res.status(400).json({ success: false, error: 'q должен содержать не меньше 2 символов' });
+  }
+
+  try {
+    return res.json({ success: true, settlements: await searchSettlements(query) });
+  } catch (err) {
+    console.error('❌ Ошибка поиска по справочнику:', err);
+    return res.status(500).json({ success: false, error: 'Не удалось выполнить поиск' });
+  }
+});
+
+// Load a settlements CSV (name, type, district, region, lat, lon, population, code).
+// replace=true drops the current dataset; rows with errors are reported and nothing is loaded.
+router.post('/import', requireRole('publisher'), upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: 'CSV файл не был загружен' });
+  }
+
+  const { rows, errors } = parseGazetteerCsv(req.file.buffer);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Файл содержит ошибки', errors: errors.slice(0, 100) });
+  }
+
+  try {
+    const replace = req.body.replace === 'true';
+    const result = await importSettlements(rows, { replace });
+
+    await recordAudit({
+      user: req.user,
+      action: 'gazetteer_import',
+      details: { file_name: req.file.originalname, imported: result.imported, replace }
+    });
+
+    return res.json({ success: true, message: `Загружено ${result.imported} населённых пунктов`, ...result });
+  } catch (err) {
+    console.error('❌ Ошибка загрузки справочника:', err);
+    return res.status(500).json({ success: false, error: 'Не удалось загрузить справочник' });
+  }
+});
+
+// Match every stored vacancy against the current dataset
+router.post('/regeocode', requireRole('publisher'), async (req, res) => {
+  try {
+    const result = await regeocodeStoredJobs();
+    return res.json({ success: true, message: `Адреса обновлены у ${result.updated} вакансий`, ...result });
+  } catch (err) {
+    console.error('❌ Ошибка обновления адресов вакансий:', err);
+    return res.status(500).json({ success: false, error: 'Не удалось обновить адреса вакансий' });
+  }
+});
+
+module.exports = router;
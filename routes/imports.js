@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/auth');
+const { BATCH_STATUS, getImportBatch, listImportBatches, rollbackImportBatch, isStaleBatch } = require('../utils/importBatches');
+
+const ID_REGEX = /^\d+$/;
+const MAX_LIMIT = 200;
+
+// GET /imports?page=&limit=
+router.get('/', requireRole('viewer'), async (req, res) => {
+  const page = Number(req.query.page || 1);
+  const limit = Number(req.query.limit || 50);
+
+  if (!Number.isInteger(page) || page < 1) {
+    return res.status(400).json({ success: false, error: 'page должен быть положительным целым числом' });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return res.status(400).json({ success: false, error: `limit должен быть от 1 до ${MAX_LIMIT}` });
+  }
+
+  try {
+    const { batches, totalCount } = await listImportBatches({ page, limit });
+    return res.json({ success: true, totalCount, page, limit, imports: batches });
+  } catch (err) {
+    console.error('❌ Ошибка получения истории импорта:', err);
+    return res.status(500).json({ success: false, error: 'Не удалось получить историю импорта' });
+  }
+});
+
+router.get('/:id', requireRole('viewer'), async (req, res) => {
+  if (!ID_REGEX.test(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'id импорта должен быть положительным целым числом' });
+  }
+
+  try {
+    const batch = await getImportBatch(req.params.id);
+    if (!batch) return res.status(404).json({ success: false, error: 'Импорт не найден' });
+
+    return res.json({ success: true, import: batch });
+  } catch (err) {
+    console.error('❌ Ошибка получения импорта:', err);
+    return res.status(500).json({ success: false, error: 'Не удалось получить импорт' });
+  }
+});
+
+// Undo a whole upload: delete the jobs it added, restore the ones it overwrote
+router.post('/:id/rollback', requireRole('publisher'), async (req, res) => {
+  if (!ID_REGEX.test(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'id импорта должен быть положительным целым числом' });
+  }
+
+  try {
+    const batch = await getImportBatch(req.params.id);
+    if (!batch) return res.status(404).json({ success: false, error: 'Импорт не найден' });
+
+    if (batch.status === BATCH_STATUS.ROLLED_BACK) {
+      return res.status(409).json({ success: false, error: 'Импорт уже отменён' });
+    }
+    // A stale batch was cut short and is undone as far as it got
+    if (batch.status === BATCH_STATUS.IN_PROGRESS && !isStaleBatch(batch)) {
+      return res.status(409).json({ success: false, error: 'Импорт ещё выполняется' });
+    }
+
+    const result = await rollbackImportBatch(batch, req.user);
+
+    return res.json({
+      success: true,
+      message: `Импорт #${batch.id} отменён: удалено ${result.deletedIds.length}, восстановлено ${result.restoredIds.length}, пропущено ${result.skippedIds.length}`,
+      ...result
+    });
+  } catch (err) {
+    console.error('❌ Ошибка отмены импорта:', err);
+    return res.status(500).json({ success: false, error: 'Не удалось отменить импорт' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const { runExpirySweep, getLastExpiryRun } = require('../utils/expirySweeper');
+const { backfillStoredSalaries } = require('../utils/salaryBackfill');
+const { requireRole } = require('../middleware/auth');
+
+router.get('/expiry/last-run', requireRole('viewer'), async (req, res) => {
+  const lastRun = await getLastExpiryRun();
+
+  if (!lastRun) {
+    return res.status(404).json({ success: false, error: 'Очистка просроченных вакансий ещё не запускалась' });
+  }
+
+  return res.json({ success: true, lastRun });
+});
+
+// Run the sweep right away instead of waiting for the next tick
+router.post('/expiry/run', requireRole('publisher'), async (req, res) => {
+  const run = await runExpirySweep(
+    req.body?.syncVk !== undefined ? { syncVk: req.body.syncVk === true || req.body.syncVk === 'true' } : undefined
+  );
+
+  if (!run) {
+    return res.status(409).json({ success: false, error: 'Очистка уже выполняется' });
+  }
+
+  return res.status(run.success ? 200 : 500).json({ success: run.success, run });
+});
+
+// Parse the salary text of vacancies stored before the structured salary columns
+// (migration 003), so salary filters and salaryThreshold see them
+router.post('/salaries/backfill', requireRole('publisher'), async (req, res) => {
+  try {
+    const result = await backfillStoredSalaries();
+    return res.json({ success: true, message: `Зарплата разобрана у ${result.updated} вакансий`, ...result });
+  } catch (err) {
+    console.error('❌ Ошибка разбора зарплат:', err);
+    return res.status(500).json({ success: false, error: 'Не удалось разобрать зарплаты вакансий' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { getPublishJob } = require('../utils/publishQueue');
+const { requireRole } = require('../middleware/auth');
+
+const ID_REGEX = /^\d+$/;
+
+router.get('/:id', requireRole('viewer'), async (req, res) => {
+  if (!ID_REGEX.test(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'id задачи публикации должен быть положительным целым числом' });
+  }
+
+  try {
+    const publishJob = await getPublishJob(req.params.id);
+
+    if (!publishJob) {
+      return res.status(404).json({ success: false, error: 'Задача публикации не найдена' });
+    }
+
+    return res.json({ success: true, publishJob });
+  } catch (err) {
+    console.error('❌ Ошибка получения статуса публикации:', err);
+    return res.status(500).json({ success: false, error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+module.exports = router;
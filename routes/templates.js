@@ -0,0 +1,186 @@
+const express = require('express');
+const router = express.Router();
+const { createClient } = require('@supabase/supabase-js');
+const { requireRole } = require('../middleware/auth');
+const { renderPostTemplate, validateTemplateBody, getPostTemplate } = require('../utils/postTemplates');
+const { attachCompanyProfiles } = require('../utils/companies');
+const { optionalBoolean } = require('../utils/publishPlan');
+
+require('dotenv').config();
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+const ID_REGEX = /^\d+$/;
+
+// Same display options as /upload-and-publish, from a JSON body
+function parsePreviewOptions(body = {}) {
+  return {
+    hideCompanyName: optionalBoolean(body.hideCompanyName),
+    salaryThreshold: Number(body.salaryThreshold) || 0,
+    includeConditions: body.includeConditions === true || body.includeConditions === 'true',
+    includeResponsibilities: body.includeResponsibilities === true || body.includeResponsibilities === 'true',
+    includeRequirements: body.includeRequirements === true || body.includeRequirements === 'true',
+    hideAddress: body.hideAddress === true || body.hideAddress === 'true',
+    hideEmail: body.hideEmail === true || body.hideEmail === 'true'
+  };
+}
+
+// Jobs to preview with: stored vacancies by `jobIds`, or inline `jobs` objects
+async function loadPreviewJobs(body = {}) {
+  if (Array.isArray(body.jobs) && body.jobs.length > 0) return { jobs: await attachCompanyProfiles(body.jobs) };
+
+  const jobIds = Array.isArray(body.jobIds) ? body.jobIds : body.jobId !== undefined ? [body.jobId] : [];
+  if (jobIds.length === 0 || !jobIds.every(id => ID_REGEX.test(String(id)))) {
+    return { error: 'Укажите jobId, jobIds или jobs для предпросмотра' };
+  }
+
+  const { data, error } = await supabase.from('jobs').select('*').in('id', jobIds).order('id', { ascending: true });
+  if (error) throw new Error(error.message);
+  if (!data || data.length === 0) return { error: 'Вакансии для предпросмотра не найдены' };
+
+  return { jobs: await attachCompanyProfiles(data) };
+}
+
+async function renderPreview(templateBody, body, res) {
+  const { jobs, error } = await loadPreviewJobs(body);
+  if (error) return res.status(400).json({ success: false, error });
+
+  try {
+    const message = renderPostTemplate(templateBody, jobs, parsePreviewOptions(body.options || body));
+    return res.json({ success: true, message, length: message.length });
+  } catch (err) {
+    return res.status(400).json({ success: false, error: `Ошибка в шаблоне: ${err.message}` });
+  }
+}
+
+router.get('/', requireRole('viewer'), async (req, res) => {
+  const { data, error } = await supabase
+    .from('post_templates')
+    .select('*')
+    .order('name', { ascending: true });
+
+  if (error) {
+    console.error('❌ Ошибка получения шаблонов:', error);
+    return res.status(500).json({ success: false, error: 'Не удалось получить шаблоны' });
+  }
+
+  return res.json({ success: true, templates: data });
+});
+
+// Preview an unsaved template body
+router.post('/preview', requireRole('editor'), async (req, res) => {
+  const validationError = validateTemplateBody(req.body?.body);
+  if (validationError) return res.status(400).json({ success: false, error: validationError });
+
+  return renderPreview(req.body.body, req.body, res);
+});
+
+router.get('/:id', requireRole('viewer'), async (req, res) => {
+  if (!ID_REGEX.test(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'id шаблона должен быть положительным целым числом' });
+  }
+
+  const template = await getPostTemplate(req.params.id);
+  if (!template) return res.status(404).json({ success: false, error: 'Шаблон не найден' });
+
+  return res.json({ success: true, template });
+});
+
+router.post('/:id/preview', requireRole('editor'), async (req, res) => {
+  if (!ID_REGEX.test(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'id шаблона должен быть положительным целым числом' });
+  }
+
+  const template = await getPostTemplate(req.params.id);
+  if (!template) return res.status(404).json({ success: false, error: 'Шаблон не найден' });
+
+  return renderPreview(template.body, req.body, res);
+});
+
+router.post('/', requireRole('editor'), async (req, res) => {
+  const { name, body, description = null } = req.body || {};
+
+  if (typeof name !== 'string' || !name.trim()) {
+    return res.status(400).json({ success: false, error: 'Укажите название шаблона' });
+  }
+  const validationError = validateTemplateBody(body);
+  if (validationError) return res.status(400).json({ success: false, error: validationError });
+
+  const { data, error } = await supabase
+    .from('post_templates')
+    .insert({ name: name.trim(), body, description })
+    .select('*')
+    .single();
+
+  if (error && error.code === '23505') {
+    return res.status(409).json({ success: false, error: 'Шаблон с таким названием уже существует' });
+  }
+  if (error) {
+    console.error('❌ Ошибка создания шаблона:', error);
+    return res.status(500).json({ success: false, error: 'Не удалось создать шаблон' });
+  }
+
+  return res.status(201).json({ success: true, template: data });
+});
+
+router.patch('/:id', requireRole('editor'), async (req, res) => {
+  if (!ID_REGEX.test(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'id шаблона должен быть положительным целым числом' });
+  }
+
+  const { name, body, description } = req.body || {};
+  const update = {};
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ success: false, error: 'Название шаблона не может быть пустым' });
+    }
+    update.name = name.trim();
+  }
+  if (body !== undefined) {
+    const validationError = validateTemplateBody(body);
+    if (validationError) return res.status(400).json({ success: false, error: validationError });
+    update.body = body;
+  }
+  if (description !== undefined) update.description = description;
+
+  if (Object.keys(update).length === 0) {
+    return res.status(400).json({ success: false, error: 'Нет полей для обновления' });
+  }
+  update.updated_at = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('post_templates')
+    .update(update)
+    .eq('id', req.params.id)
+    .select('*');
+
+  if (error && error.code === '23505') {
+    return res.status(409).json({ success: false, error: 'Шаблон с таким названием уже существует' });
+  }
+  if (error) {
+    console.error('❌ Ошибка обновления шаблона:', error);
+    return res.status(500).json({ success: false, error: 'Не удалось обновить шаблон' });
+  }
+  if (!data || data.length === 0) return res.status(404).json({ success: false, error: 'Шаблон не найден' });
+
+  return res.json({ success: true, template: data[0] });
+});
+
+router.delete('/:id', requireRole('publisher'), async (req, res) => {
+  if (!ID_REGEX.test(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'id шаблона должен быть положительным целым числом' });
+  }
+
+  const { data, error } = await supabase.from('post_templates').delete().eq('id', req.params.id).select('id');
+
+  if (error) {
+    console.error('❌ Ошибка удаления шаблона:', error);
+    return res.status(500).json({ success: false, error: 'Не удалось удалить шаблон' });
+  }
+  if (!data || data.length === 0) return res.status(404).json({ success: false, error: 'Шаблон не найден' });
+
+  return res.json({ success: true, message: 'Шаблон удалён' });
+});
+
+module.exports = router;
@@ -1,277 +1,172 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const axios = require('axios');
-const stringSimilarity = require('string-similarity');
-const { createClient } = require('@supabase/supabase-js');
-const { importJobsFromXmlBuffer } = require('../utils/importJobsUtil');
+const { importJobsFromXmlBuffer, previewImportFromXmlBuffer } = require('../utils/importJobsUtil');
+const { enqueuePublishJob } = require('../utils/publishQueue');
+const { requireRole, hasRole } = require('../middleware/auth');
+const { recordAudit } = require('../utils/auditLog');
+const { parsePublishOptions, planPosts, toQueuePosts, describeQueuedPosts, isPublishedTo, isTrue } = require('../utils/publishPlan');
+const { syncVkPostsForJobs } = require('../utils/vkPostSync');
 
 require('dotenv').config();
 
 const upload = multer({ storage: multer.memoryStorage() });
 
-const API_VERSION = '5.131';
-
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_KEY = process.env.SUPABASE_KEY;
-const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
-
-// 🆕 Get credentials from Supabase
-async function getVkCredentials() {
-  const { data, error } = await supabase
-    .from('access_tokens')
-    .select('service_key, owner_id')
-    .order('created_at', { ascending: false })
-    .limit(1)
-    .single();
-
-  if (error || !data) {
-    throw new Error(`❌ Не удалось получить VK токены: ${error?.message || 'Нет данных'}`);
+// Editors may preview (dryRun), actual publishing needs the publisher role
+router.post('/', requireRole('editor'), upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: 'XML файл не был загружен' });
   }
 
-  return {
-    accessToken: data.service_key,
-    ownerId: data.owner_id
-  };
-}
-
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-function groupJobsByVacancyName(jobs) {
-  const groups = [];
-  const threshold = 0.4;
-
-  jobs.forEach(job => {
-    let foundGroup = false;
-
-    for (const group of groups) {
-      const similarity = stringSimilarity.compareTwoStrings(
-        job.job_title.toLowerCase(),
-        group[0].job_title.toLowerCase()
-      );
-
-      if (similarity >= threshold) {
-        group.push(job);
-        foundGroup = true;
-        break;
-      }
-    }
-
-    if (!foundGroup) {
-      groups.push([job]);
-    }
-  });
-
-  return groups;
-}
-
-function groupJobsByAccountNumber(jobs) {
-  const groupsMap = new Map();
-
-  jobs.forEach(job => {
-    const accNum = job.account_number || 'no_account';
-    if (!groupsMap.has(accNum)) groupsMap.set(accNum, []);
-    groupsMap.get(accNum).push(job);
-  });
-
-  return Array.from(groupsMap.values());
-}
-
-function createPostMessage(jobsGroup, options) {
-  const {
-    hideCompanyName,
-    salaryThreshold,
-    includeConditions,
-    includeResponsibilities,
-    includeRequirements,
-    hideAddress,
-    hideEmail
-  } = options;
-
-  let message = '';
-
-  jobsGroup.forEach((job, idx) => {
-    let salaryNum = 0;
-    if (job.salary) {
-      const digits = job.salary.replace(/\D/g, '');
-      salaryNum = digits ? parseInt(digits, 10) : 0;
+  try {
+    const { options, error: optionsError } = await parsePublishOptions(req.body);
+    if (optionsError) {
+      return res.status(400).json({ success: false, error: optionsError });
     }
 
-    const salaryText = (salaryNum && salaryNum < salaryThreshold)
-      ? 'По договоренности'
-      : job.salary || '—';
-
-    const companyText = hideCompanyName ? '' : `Компания: ${job.company_name || '—'}`;
-
-    const contactsArr = [];
-    if (job.phone) contactsArr.push(job.phone);
-    if (!hideEmail && job.email) contactsArr.push(job.email);
-    const contactsText = contactsArr.length ? `Контакты: ${contactsArr.join(', ')}` : 'Контакты: —';
-
-    const addressText = hideAddress ? '' : (job.address ? `Адрес: ${job.address}` : '');
-
-    message += `📌 Вакансия ${jobsGroup.length > 1 ? `${idx + 1}` : ''}: ${job.job_title || 'Вакансия'}\n`;
-
-    if (companyText) message += `${companyText}\n`;
-    message += `Зарплата: ${salaryText}\n`;
-
-    if (job.schedule) message += `График: ${job.schedule}\n`;
+    // 🔍 Dry run: the same duplicate check and insert / update / skip plan as the real
+    // import, then grouping and rendering. Supabase is only read, nothing goes to VK.
+    if (options.dryRun) {
+      const preview = await previewImportFromXmlBuffer(req.file.buffer, {
+        rejectInvalid: options.rejectInvalid,
+        force: isTrue(req.body.force)
+      });
 
-    message += `${contactsText}\n`;
+      if (preview.duplicate) {
+        return res.json({
+          success: true,
+          dryRun: true,
+          duplicate: true,
+          message: 'Публикация будет отклонена (409): файл уже импортирован',
+          warning: preview.error,
+          originalImport: preview.duplicateOf,
+          originalImportUrl: `/imports/${preview.duplicateOf.id}`,
+          posts: []
+        });
+      }
 
-    if (includeResponsibilities && job.responsibilities) {
-      message += `Обязанности: ${job.responsibilities}\n`;
-    }
+      const { toInsert, toUpdate, skipped, report } = preview;
+      // Updated vacancies that are already out keep their posts, see the real run below
+      const alreadyPublished = toUpdate.filter(({ stored }) => isPublishedTo(stored, options.channels));
+      const jobs = [
+        ...toInsert,
+        ...toUpdate.filter(update => !alreadyPublished.includes(update)).map(({ id, job }) => ({ ...job, id }))
+      ];
+      const { explanation, posts, slots } = await planPosts(jobs, options);
 
-    if (includeConditions && job.conditions) {
-      message += `Условия: ${job.conditions}\n`;
+      return res.json({
+        success: true,
+        dryRun: true,
+        channels: options.channels,
+        message: `Будет опубликовано ${posts.length} постов с вакансиями`,
+        inserted: toInsert.length,
+        updated: toUpdate.length,
+        skipped: skipped.expired + skipped.duplicate,
+        skippedReasons: skipped,
+        alreadyPublished: alreadyPublished.map(({ id }) => id),
+        vkPostsToEdit: alreadyPublished.filter(({ stored }) => stored.vk_post_id).map(({ id }) => id),
+        report,
+        jobs,
+        groups: explanation.groups.map(group => group.jobs),
+        grouping: explanation,
+        posts: posts.map((post, idx) => ({
+          group: post.group,
+          part: post.part,
+          parts: post.parts,
+          jobs: post.jobs.map(job => jobs.indexOf(job)),
+          job_titles: post.jobs.map(j => j.job_title),
+          truncated: post.truncated.map(({ job, fields }) => ({ job: jobs.indexOf(job), fields })),
+          length: post.message.length,
+          publish_date: slots[idx],
+          message: post.message
+        }))
+      });
     }
 
-    if (includeRequirements && job.requirements) {
-      message += `Требования: ${job.requirements}\n`;
+    if (!hasRole(req.user, 'publisher')) {
+      return res.status(403).json({ success: false, error: 'Недостаточно прав: требуется роль publisher' });
     }
 
-    if (addressText) message += `${addressText}\n`;
+    const importResult = await importJobsFromXmlBuffer(req.file.buffer, {
+      rejectInvalid: options.rejectInvalid,
+      fileName: req.file.originalname,
+      user: req.user,
+      force: isTrue(req.body.force)
+    });
 
-    if (idx < jobsGroup.length - 1) {
-      message += '\n---\n\n';
+    if (importResult.duplicate) {
+      return res.status(409).json({
+        success: false,
+        error: importResult.error,
+        originalImport: importResult.duplicateOf,
+        originalImportUrl: `/imports/${importResult.duplicateOf.id}`
+      });
     }
-  });
-
-  message += '\n#работа #вакансия';
-
-  return message;
-}
-
-async function postToVkWall(message, accessToken, ownerId) {
-  const url = 'https://api.vk.com/method/wall.post';
-
-  const data = new URLSearchParams();
-  data.append('owner_id', ownerId);
-  data.append('message', message);
-  data.append('from_group', '1');
-  data.append('access_token', accessToken);
-  data.append('v', API_VERSION);
 
-  try {
-    const res = await axios.post(url, data.toString(), {
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded'
+    const auditImport = publishJobId => recordAudit({
+      user: req.user,
+      action: 'import_and_publish',
+      jobIds: [...(importResult.insertedIds || []), ...(importResult.updatedIds || [])],
+      changes: importResult.changes || [],
+      details: {
+        file_name: req.file.originalname,
+        batch_id: importResult.batchId || null,
+        success: importResult.success,
+        error: importResult.error || null,
+        inserted: importResult.inserted,
+        updated: importResult.updated,
+        skipped: importResult.skipped,
+        publish_job_id: publishJobId,
+        channels: options.channels
       }
     });
 
-    if (res.data.response) {
-      const link = `https://vk.com/wall${ownerId}_${res.data.response.post_id}`;
-      return {
-        success: true,
-        postId: res.data.response.post_id,
-        link
-      };
-    } else {
-      return { success: false, error: res.data.error?.error_msg || 'Unknown VK API error' };
-    }
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
-}
-
-
-async function markJobAsPublished(jobId, vkLink) {
-  const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-
-  const { error } = await supabase
-    .from('jobs')
-    .update({
-      publication_date: today,
-      status: 'Активные',
-      vk_link: vkLink
-    })
-    .eq('id', jobId);
-
-  if (error) {
-    console.error(`🔴 Ошибка при обновлении вакансии ID ${jobId}:`, error.message);
-  }
-}
-
-router.post('/', upload.single('file'), async (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ success: false, error: 'XML файл не был загружен' });
-  }
-
-  try {
-    const {
-      groupByVacancyName,
-      groupByAccountNumber,
-      hideCompanyName,
-      salaryThreshold,
-      includeConditions,
-      includeResponsibilities,
-      includeRequirements,
-      hideAddress,
-      hideEmail
-    } = req.body;
-
-    const options = {
-      groupByVacancyName: groupByVacancyName === 'true',
-      groupByAccountNumber: groupByAccountNumber === 'true',
-      hideCompanyName: hideCompanyName === 'true',
-      salaryThreshold: Number(salaryThreshold) || 0,
-      includeConditions: includeConditions === 'true',
-      includeResponsibilities: includeResponsibilities === 'true',
-      includeRequirements: includeRequirements === 'true',
-      hideAddress: hideAddress === 'true',
-      hideEmail: hideEmail === 'true'
-    };
-
-    // 🆕 get VK credentials from Supabase
-    const credentials = await getVkCredentials();
-
-    const importResult = await importJobsFromXmlBuffer(req.file.buffer);
-
     if (!importResult.success) {
-      return res.status(500).json({ success: false, error: 'Импорт не удался', details: importResult.details });
-    }
-
-    let jobs = importResult.jobs || [];
-
-    let groupedJobs = [];
-
-    if (options.groupByVacancyName) {
-      groupedJobs = groupJobsByVacancyName(jobs);
-    } else if (options.groupByAccountNumber) {
-      groupedJobs = groupJobsByAccountNumber(jobs);
-    } else {
-      groupedJobs = jobs.map(job => [job]);
+      await auditImport(null);
+      return res.status(500).json({
+        success: false,
+        error: 'Импорт не удался',
+        details: importResult.details,
+        batchId: importResult.batchId,
+        report: importResult.report
+      });
     }
 
-    const results = [];
-
-    for (const group of groupedJobs) {
-      const postMsg = createPostMessage(group, options);
-      const vkResult = await postToVkWall(postMsg, credentials.accessToken, credentials.ownerId);
+    const updatedIds = new Set(importResult.updatedIds || []);
+    // Updated vacancies that were published before are not posted again: their VK
+    // posts are re-rendered in place, so the stored post stays linked to the job
+    const imported = importResult.jobs || [];
+    const alreadyPublished = imported.filter(job => updatedIds.has(job.id) && isPublishedTo(job, options.channels));
+    const jobs = imported.filter(job => !alreadyPublished.includes(job));
+    // The import is stored already, a failed lookup of the posts only goes into the response
+    const vkSync = await syncVkPostsForJobs([...updatedIds], req.user).catch(err => {
+      console.error('🔴 Не удалось обновить посты VK обновлённых вакансий:', err.message);
+      return [{ action: 'none', success: false, error: err.message }];
+    });
 
-      if (vkResult.success) {
-        for (const job of group) {
-          if (job.id) {
-            await markJobAsPublished(job.id, vkResult.link);
-          }
-        }
-      }
+    // Groups too long for the channel are split into several posts
+    const { explanation, posts: builtPosts, slots } = await planPosts(jobs, options);
 
-      results.push({
-        job_titles: group.map(j => j.job_title),
-        ...vkResult
-      });
+    // 📬 Posting happens in the background queue worker, see utils/publishQueue.js
+    const posts = toQueuePosts(builtPosts, slots);
 
-      await sleep(1200); // VK flood control
-    }
+    const publishJob = await enqueuePublishJob(posts, options, options.channels, req.user);
+    await auditImport(publishJob.id);
 
-    return res.json({
+    return res.status(202).json({
       success: true,
-      message: `Импортировано и опубликовано ${results.length} постов с вакансиями`,
-      results
+      message: `Импортировано ${imported.length} вакансий, ${posts.length} постов поставлено в очередь публикации (${options.channels.join(', ')})`,
+      inserted: importResult.inserted,
+      updated: importResult.updated,
+      skipped: importResult.skipped,
+      alreadyPublished: alreadyPublished.map(job => job.id),
+      vkSync,
+      batchId: importResult.batchId,
+      report: importResult.report,
+      grouping: explanation,
+      posts: describeQueuedPosts(builtPosts),
+      publishJobId: publishJob.id,
+      statusUrl: `/publish-jobs/${publishJob.id}`
     });
 
   } catch (err) {
@@ -0,0 +1,492 @@
+const express = require('express');
+const router = express.Router();
+const { createClient } = require('@supabase/supabase-js');
+const { extractLocations, formatLocation, extractSchedule, classifySchedule } = require('../utils/jobXmlParser');
+const { geocodeJobs } = require('../utils/gazetteer');
+const { toPhoneFields } = require('../utils/phoneNumbers');
+const { parseSalary } = require('../utils/salaryParser');
+const { syncVkPosts, isJobActive } = require('../utils/vkPostSync');
+const { parseListQuery, applyVacancyFilters, orderVacancies, applyCursor, encodeCursor, isValidDate } = require('../utils/vacancyFilters');
+const { requireRole, hasRole } = require('../middleware/auth');
+const { recordAudit } = require('../utils/auditLog');
+const { EXPORT_FORMATS } = require('../utils/vacancyExport');
+const { parsePublishOptions, planPosts, toQueuePosts, describeQueuedPosts, isPublishedTo, isTrue } = require('../utils/publishPlan');
+const { enqueuePublishJob } = require('../utils/publishQueue');
+const { chunkValues } = require('../utils/inFilterChunks');
+
+require('dotenv').config();
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+const PATCHABLE_TEXT_FIELDS = [
+  'job_title',
+  'account_number',
+  'company_inn',
+  'company_name',
+  'email',
+  'address',
+  'conditions',
+  'responsibilities',
+  'requirements',
+  'schedule',
+  'salary',
+  'contact_person',
+  'rubr_atryb',
+  'extra_info',
+  'status'
+];
+const PATCHABLE_DATE_FIELDS = ['publication_date', 'depub_date', 'account_date'];
+// Raw feed blocks accepted for convenience and converted like the importer does
+const PATCHABLE_RAW_FIELDS = ['phone', 'ADRESSORABOTI', 'GAFIK_RABOTI'];
+const PATCHABLE_FIELDS = [...PATCHABLE_TEXT_FIELDS, ...PATCHABLE_DATE_FIELDS, ...PATCHABLE_RAW_FIELDS];
+
+const ID_REGEX = /^\d+$/;
+
+// Rows per Supabase request when exporting, and the most one export may contain
+const EXPORT_PAGE_SIZE = 1000;
+const EXPORT_MAX_ROWS = 50000;
+// Most vacancies one POST /vacancies/publish may queue
+const PUBLISH_MAX_JOBS = 1000;
+// Most ids one DELETE /vacancies/batch may contain
+const BATCH_DELETE_MAX_IDS = 1000;
+
+function toIsoDate(value) {
+  return new Date(value).toISOString().split('T')[0];
+}
+
+// Whitelisted, normalized update for PATCH. Returns { update } or { error }.
+function buildVacancyUpdate(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Request body must be a JSON object' };
+  }
+
+  const unknown = Object.keys(body).filter(key => !PATCHABLE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    return { error: `Fields cannot be updated: ${unknown.join(', ')}` };
+  }
+
+  const update = {};
+
+  for (const field of PATCHABLE_TEXT_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (body[field] !== null && typeof body[field] !== 'string') {
+      return { error: `${field} must be a string or null` };
+    }
+    update[field] = body[field] === null ? null : body[field].trim() || null;
+  }
+
+  for (const field of PATCHABLE_DATE_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (body[field] !== null && !isValidDate(body[field])) {
+      return { error: `${field} must be a date (YYYY-MM-DD) or null` };
+    }
+    update[field] = body[field] === null ? null : toIsoDate(body[field]);
+  }
+
+  if (body.phone !== undefined) Object.assign(update, toPhoneFields(body.phone || []));
+  if (body.ADRESSORABOTI !== undefined) {
+    update.locations = extractLocations({ ADRESSORABOTI: body.ADRESSORABOTI });
+    update.address = update.locations.map(formatLocation).join('; ') || null;
+  }
+  if (body.GAFIK_RABOTI !== undefined) update.schedule = extractSchedule(body.GAFIK_RABOTI);
+  if (update.salary !== undefined) Object.assign(update, parseSalary(update.salary));
+  if (update.schedule !== undefined) update.schedule_types = classifySchedule(update.schedule);
+
+  if (Object.keys(update).length === 0) {
+    return { error: 'No fields to update' };
+  }
+
+  return { update };
+}
+
+// Every vacancy matching list filters, fetched page by page.
+// Returns { jobs } or { error, status } when more than `maxRows` match.
+async function fetchAllVacancies(filters, maxRows) {
+  const jobs = [];
+  for (let offset = 0; ; offset += EXPORT_PAGE_SIZE) {
+    const { data, error, count } = await orderVacancies(
+      applyVacancyFilters(supabase.from('jobs').select('*', { count: 'exact' }), filters),
+      filters
+    ).range(offset, offset + EXPORT_PAGE_SIZE - 1);
+
+    if (error) throw new Error(error.message);
+    if (count > maxRows) {
+      return { status: 400, error: `At most ${maxRows} vacancies can be processed at once, ${count} match the filters` };
+    }
+
+    jobs.push(...data);
+    if (data.length < EXPORT_PAGE_SIZE) return { jobs };
+  }
+}
+
+function uniqueVkRefs(jobs) {
+  const refs = new Map();
+  (jobs || []).forEach(job => {
+    if (job.vk_post_id) refs.set(`${job.vk_owner_id}_${job.vk_post_id}`, { ownerId: job.vk_owner_id, postId: job.vk_post_id });
+  });
+  return [...refs.values()];
+}
+
+function auditDelete(user, deletedRows, details) {
+  return recordAudit({
+    user,
+    action: 'vacancy_delete',
+    jobIds: deletedRows.map(job => job.id),
+    changes: deletedRows.map(job => ({ job_id: job.id, before: job, after: null })),
+    details
+  });
+}
+
+// --- Read (Retrieve) Vacancies ---
+// Cursor paging: pass the nextCursor of a response as ?cursor= to get the following page
+router.get('/', requireRole('viewer'), async (req, res) => {
+  const { filters, error: validationError } = parseListQuery(req.query);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  // totalCount covers the filters only, not the cursor
+  let query = applyVacancyFilters(supabase.from('jobs').select('*', { count: 'exact' }), filters);
+  query = orderVacancies(applyCursor(query, filters), filters).limit(filters.limit);
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    console.error('Supabase fetch error:', error);
+    return res.status(500).json({ error: 'Failed to fetch vacancies' });
+  }
+
+  // A full page may be followed by more rows; the next request returns an empty page if not
+  const hasMore = data.length === filters.limit;
+
+  res.json({
+    totalCount: count,
+    limit: filters.limit,
+    nextCursor: hasMore ? encodeCursor(data[data.length - 1], filters) : null,
+    vacancies: data,
+  });
+});
+
+// --- Export Vacancies ---
+// GET /vacancies/export?format=csv|xlsx|xml with the same filters as the list, without paging
+router.get('/export', requireRole('viewer'), async (req, res) => {
+  const { format = 'csv', ...listQuery } = req.query;
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+
+  const { filters, error: validationError } = parseListQuery({ ...listQuery, cursor: undefined, limit: undefined });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  let result;
+  try {
+    result = await fetchAllVacancies(filters, EXPORT_MAX_ROWS);
+  } catch (err) {
+    console.error('Supabase export error:', err);
+    return res.status(500).json({ error: 'Failed to export vacancies' });
+  }
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  const { jobs } = result;
+
+  const body = await exportFormat.serialize(jobs);
+  const fileName = `vacancies-${new Date().toISOString().split('T')[0]}.${exportFormat.extension}`;
+
+  res.set('Content-Type', exportFormat.contentType);
+  res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(body);
+});
+
+// --- Publish Vacancies ---
+// POST /vacancies/publish { ids | filters, republish, ...same options as /upload-and-publish }
+// Editors may preview with dryRun, queueing posts needs the publisher role
+router.post('/publish', requireRole('editor'), async (req, res) => {
+  const body = req.body || {};
+  const { ids, filters: listQuery } = body;
+
+  if (ids === undefined && listQuery === undefined) {
+    return res.status(400).json({ error: 'Provide either ids or filters' });
+  }
+  if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => ID_REGEX.test(String(id))))) {
+    return res.status(400).json({ error: 'ids must be a non-empty array of positive integers' });
+  }
+  if (ids !== undefined && ids.length > PUBLISH_MAX_JOBS) {
+    return res.status(400).json({ error: `At most ${PUBLISH_MAX_JOBS} vacancies can be processed at once` });
+  }
+
+  const { options, error: optionsError } = await parsePublishOptions(body);
+  if (optionsError) {
+    return res.status(400).json({ error: optionsError });
+  }
+  if (!options.dryRun && !hasRole(req.user, 'publisher')) {
+    return res.status(403).json({ error: 'Publishing requires the publisher role' });
+  }
+
+  let candidates;
+  try {
+    if (ids !== undefined) {
+      candidates = [];
+      for (const chunk of chunkValues(ids)) {
+        const { data, error } = await supabase.from('jobs').select('*').in('id', chunk);
+        if (error) throw new Error(error.message);
+        candidates.push(...data);
+      }
+      candidates.sort((a, b) => a.id - b.id);
+    } else {
+      const { filters, error: validationError } = parseListQuery({ ...(listQuery || {}), cursor: undefined, limit: undefined });
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      const result = await fetchAllVacancies(filters, PUBLISH_MAX_JOBS);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      candidates = result.jobs;
+    }
+  } catch (err) {
+    console.error('Supabase fetch for publishing error:', err);
+    return res.status(500).json({ error: 'Failed to fetch vacancies' });
+  }
+
+  const republish = isTrue(body.republish);
+  const skipped = { notFound: [], inactive: [], alreadyPublished: [] };
+  if (ids !== undefined) {
+    const found = new Set(candidates.map(job => String(job.id)));
+    skipped.notFound = ids.filter(id => !found.has(String(id))).map(Number);
+  }
+
+  const jobs = candidates.filter(job => {
+    if (!isJobActive(job)) {
+      skipped.inactive.push(job.id);
+      return false;
+    }
+    if (!republish && isPublishedTo(job, options.channels)) {
+      skipped.alreadyPublished.push(job.id);
+      return false;
+    }
+    return true;
+  });
+
+  if (jobs.length === 0) {
+    return res.status(400).json({ error: 'No vacancies left to publish', skipped });
+  }
+
+  const { explanation, posts: builtPosts, slots } = await planPosts(jobs, options);
+
+  if (options.dryRun) {
+    return res.json({
+      dryRun: true,
+      channels: options.channels,
+      skipped,
+      grouping: explanation,
+      posts: builtPosts.map((post, idx) => ({
+        ...describeQueuedPosts([post])[0],
+        position: idx,
+        publish_date: slots[idx],
+        message: post.message
+      }))
+    });
+  }
+
+  let publishJob;
+  try {
+    publishJob = await enqueuePublishJob(toQueuePosts(builtPosts, slots), options, options.channels, req.user);
+  } catch (err) {
+    console.error('Publish queue error:', err);
+    return res.status(500).json({ error: 'Failed to queue posts for publishing' });
+  }
+
+  await recordAudit({
+    user: req.user,
+    action: 'publish_request',
+    jobIds: jobs.map(job => job.id),
+    details: { publish_job_id: publishJob.id, channels: options.channels, republish, skipped }
+  });
+
+  res.status(202).json({
+    message: `${builtPosts.length} posts with ${jobs.length} vacancies queued for publishing (${options.channels.join(', ')})`,
+    skipped,
+    grouping: explanation,
+    posts: describeQueuedPosts(builtPosts),
+    publishJobId: publishJob.id,
+    statusUrl: `/publish-jobs/${publishJob.id}`
+  });
+});
+
+// --- Delete Vacancies ---
+// Static paths are registered before /:id so they are not captured as an id
+router.delete('/batch', requireRole('publisher'), async (req, res) => {
+  const { ids } = req.body || {};
+
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return res.status(400).json({ error: 'No IDs provided for batch deletion' });
+  }
+  if (!ids.every(id => ID_REGEX.test(String(id)))) {
+    return res.status(400).json({ error: 'IDs must be positive integers' });
+  }
+  if (ids.length > BATCH_DELETE_MAX_IDS) {
+    return res.status(400).json({ error: `At most ${BATCH_DELETE_MAX_IDS} vacancies can be deleted at once` });
+  }
+
+  // Chunks deleted before a failure stay deleted, so they are still audited and synced
+  const deleted = [];
+  let deleteError = null;
+  for (const chunk of chunkValues(ids)) {
+    const { data, error } = await supabase.from('jobs').delete().in('id', chunk).select('*');
+    if (error) {
+      deleteError = error;
+      break;
+    }
+    deleted.push(...data);
+  }
+
+  if (deleted.length > 0) await auditDelete(req.user, deleted, { mode: 'batch' });
+  const vkSync = await syncVkPosts(uniqueVkRefs(deleted), req.user);
+
+  if (deleteError) {
+    console.error('Supabase batch delete error:', deleteError);
+    return res.status(500).json({ error: 'Failed to delete vacancies in batch', deletedIds: deleted.map(job => job.id), vkSync });
+  }
+
+  res.json({ message: `Successfully deleted ${deleted.length} vacancies`, deletedIds: deleted.map(job => job.id), vkSync });
+});
+
+router.delete('/by-date-range', requireRole('publisher'), async (req, res) => {
+  const { date_from, date_to } = req.query;
+
+  if (!date_from || !date_to) {
+    return res.status(400).json({ error: 'Please provide both date_from and date_to parameters' });
+  }
+  if (!isValidDate(date_from) || !isValidDate(date_to)) {
+    return res.status(400).json({ error: 'date_from and date_to must be dates (YYYY-MM-DD)' });
+  }
+  if (new Date(date_from) > new Date(date_to)) {
+    return res.status(400).json({ error: 'date_from must not be after date_to' });
+  }
+
+  const { data: deleted, error } = await supabase
+    .from('jobs')
+    .delete()
+    .gte('publication_date', date_from)
+    .lte('publication_date', date_to)
+    .select('*');
+
+  if (error) {
+    console.error('Supabase delete by date range error:', error);
+    return res.status(500).json({ error: 'Failed to delete vacancies by date range' });
+  }
+
+  await auditDelete(req.user, deleted, { mode: 'by-date-range', date_from, date_to });
+  const vkSync = await syncVkPosts(uniqueVkRefs(deleted), req.user);
+
+  res.json({
+    message: `Successfully deleted ${deleted.length} vacancies from ${date_from} to ${date_to}`,
+    deletedIds: deleted.map(job => job.id),
+    vkSync
+  });
+});
+
+router.get('/:id', requireRole('viewer'), async (req, res) => {
+  const { id } = req.params;
+  if (!ID_REGEX.test(id)) {
+    return res.status(400).json({ error: 'Vacancy id must be a positive integer' });
+  }
+
+  const { data, error } = await supabase.from('jobs').select('*').eq('id', id).single();
+
+  if (error && error.code === 'PGRST116') {
+    return res.status(404).json({ error: 'Vacancy not found' });
+  }
+  if (error) {
+    console.error('Supabase fetch single error:', error);
+    return res.status(500).json({ error: 'Failed to fetch vacancy' });
+  }
+
+  res.json(data);
+});
+
+// --- Update Vacancies ---
+router.patch('/:id', requireRole('editor'), async (req, res) => {
+  const { id } = req.params;
+  if (!ID_REGEX.test(id)) {
+    return res.status(400).json({ error: 'Vacancy id must be a positive integer' });
+  }
+
+  const { update, error: validationError } = buildVacancyUpdate(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const { data: before } = await supabase.from('jobs').select('*').eq('id', id).maybeSingle();
+
+  // Archiving or expiring a vacancy that is on the VK wall takes it off the wall (see the sync below)
+  if (before?.vk_post_id && isJobActive(before) && !isJobActive({ ...before, ...update }) && !hasRole(req.user, 'publisher')) {
+    return res.status(403).json({ error: 'Archiving or expiring a published vacancy requires the publisher role' });
+  }
+
+  // A new address is matched against the gazetteer like on import
+  if (update.address !== undefined) {
+    const [geocoded] = await geocodeJobs([{ address: update.address, locations: update.locations }]);
+    Object.assign(update, {
+      locations: geocoded.locations,
+      location_cities: geocoded.location_cities,
+      location_districts: geocoded.location_districts,
+      location_regions: geocoded.location_regions
+    });
+  }
+
+  const { data, error } = await supabase
+    .from('jobs')
+    .update(update)
+    .eq('id', id)
+    .select();
+
+  if (error) {
+    console.error('Supabase update error:', error);
+    return res.status(500).json({ error: 'Failed to update vacancy' });
+  }
+  if (!data || data.length === 0) {
+    return res.status(404).json({ error: 'Vacancy not found for update' });
+  }
+
+  await recordAudit({
+    user: req.user,
+    action: 'vacancy_update',
+    jobIds: [data[0].id],
+    changes: [{ job_id: data[0].id, before: before || {}, after: data[0] }]
+  });
+
+  // Re-render the VK post (or drop the job from it) when the vacancy is published
+  const vkSync = await syncVkPosts(uniqueVkRefs(data), req.user);
+
+  res.json({ message: 'Vacancy updated successfully', updatedVacancy: data[0], vkSync });
+});
+
+router.delete('/:id', requireRole('publisher'), async (req, res) => {
+  const { id } = req.params;
+  if (!ID_REGEX.test(id)) {
+    return res.status(400).json({ error: 'Vacancy id must be a positive integer' });
+  }
+
+  const vkRefs = await getVkPostRefs([id]);
+  const { data, error } = await supabase.from('jobs').delete().eq('id', id).select('*');
+
+  if (error) {
+    console.error('Supabase delete error:', error);
+    return res.status(500).json({ error: 'Failed to delete vacancy' });
+  }
+  if (!data || data.length === 0) {
+    return res.status(404).json({ error: 'Vacancy not found' });
+  }
+
+  await auditDelete(req.user, data, { mode: 'single' });
+  const vkSync = await syncVkPosts(vkRefs, req.user);
+
+  res.json({ message: 'Vacancy deleted successfully', vkSync });
+});
+
+module.exports = router;
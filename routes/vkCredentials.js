@@ -0,0 +1,196 @@
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/auth');
+const { recordAudit } = require('../utils/auditLog');
+const { validateVkToken } = require('../utils/vkPublisher');
+const {
+  listVkCredentials,
+  getVkCredential,
+  createVkCredential,
+  updateVkCredential,
+  saveValidation,
+  rotateVkCredential,
+  revokeVkCredential,
+  getVkToken
+} = require('../utils/vkCredentials');
+
+const ID_REGEX = /^\d+$/;
+
+// Token lifetime from the request: `expiresAt` (date) or `expiresIn` (seconds, as VK OAuth returns it).
+// Returns { expiresAt } or { error }.
+function parseExpiry({ expiresAt, expiresIn }, validation) {
+  if (validation.neverExpires) return { expiresAt: null };
+  if (expiresIn !== undefined && expiresIn !== null && expiresIn !== '') {
+    const seconds = Number(expiresIn);
+    if (!Number.isInteger(seconds) || seconds < 0) return { error: 'expiresIn должен быть неотрицательным целым числом секунд' };
+    return { expiresAt: seconds === 0 ? null : new Date(Date.now() + seconds * 1000).toISOString() };
+  }
+  if (expiresAt) {
+    const date = new Date(expiresAt);
+    if (isNaN(date)) return { error: 'expiresAt должен быть корректной датой' };
+    return { expiresAt: date.toISOString() };
+  }
+  return { expiresAt: null };
+}
+
+function auditCredential(user, action, credential, details = {}) {
+  return recordAudit({
+    user,
+    action,
+    details: { credential_id: credential.id, group_id: credential.group_id, label: credential.label, ...details }
+  });
+}
+
+// VK or the network failed, not the token: nothing is stored or changed
+function respondTransientFailure(res, validation) {
+  return res.status(502).json({
+    success: false,
+    error: `Не удалось проверить токен, VK недоступен: ${validation.error}. Повторите попытку позже`,
+    validation
+  });
+}
+
+function checkId(req, res) {
+  if (ID_REGEX.test(req.params.id)) return true;
+  res.status(400).json({ success: false, error: 'id должен быть положительным целым числом' });
+  return false;
+}
+
+router.get('/', requireRole('publisher'), async (req, res) => {
+  try {
+    const credentials = await listVkCredentials({ includeRevoked: req.query.includeRevoked === 'true' });
+    return res.json({ success: true, credentials });
+  } catch (err) {
+    console.error('❌ Ошибка получения токенов VK:', err);
+    return res.status(500).json({ success: false, error: 'Не удалось получить токены VK' });
+  }
+});
+
+// Add a token for a community. It is validated against VK first and stored only if usable.
+router.post('/', requireRole('publisher'), async (req, res) => {
+  const { groupId, token, label, isDefault } = req.body || {};
+
+  if (!ID_REGEX.test(String(groupId ?? ''))) {
+    return res.status(400).json({ success: false, error: 'groupId должен быть положительным целым числом (id сообщества без минуса)' });
+  }
+  if (typeof token !== 'string' || !token.trim()) {
+    return res.status(400).json({ success: false, error: 'Укажите token' });
+  }
+
+  try {
+    const validation = await validateVkToken(token.trim(), groupId);
+    if (validation.transient) return respondTransientFailure(res, validation);
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, error: `Токен не прошёл проверку: ${validation.error}`, validation });
+    }
+
+    const { expiresAt, error: expiryError } = parseExpiry(req.body, validation);
+    if (expiryError) return res.status(400).json({ success: false, error: expiryError });
+
+    const credential = await createVkCredential(
+      { label, groupId: Number(groupId), token: token.trim(), expiresAt, isDefault: isDefault === true || isDefault === 'true' },
+      validation,
+      req.user
+    );
+    await auditCredential(req.user, 'vk_credential_add', credential);
+
+    return res.status(201).json({ success: true, credential });
+  } catch (err) {
+    console.error('❌ Ошибка добавления токена VK:', err);
+    return res.status(500).json({ success: false, error: 'Не удалось добавить токен VK' });
+  }
+});
+
+// Rename or make the default community
+router.patch('/:id', requireRole('publisher'), async (req, res) => {
+  if (!checkId(req, res)) return;
+
+  const { label, isDefault } = req.body || {};
+  const update = {};
+  if (label !== undefined) update.label = label || null;
+  if (isDefault !== undefined) update.is_default = isDefault === true || isDefault === 'true';
+
+  if (Object.keys(update).length === 0) {
+    return res.status(400).json({ success: false, error: 'Нет полей для обновления' });
+  }
+
+  try {
+    const credential = await updateVkCredential(req.params.id, update);
+    if (!credential) return res.status(404).json({ success: false, error: 'Токен не найден' });
+
+    return res.json({ success: true, credential });
+  } catch (err) {
+    console.error('❌ Ошибка обновления токена VK:', err);
+    return res.status(500).json({ success: false, error: 'Не удалось обновить токен VK' });
+  }
+});
+
+// Test the stored token again; a rejected token stops being used for publishing.
+// A transient failure (network, VK errors 6/9/10, ...) leaves the entry as it was.
+router.post('/:id/validate', requireRole('publisher'), async (req, res) => {
+  if (!checkId(req, res)) return;
+
+  try {
+    const stored = await getVkToken(req.params.id);
+    if (!stored) return res.status(404).json({ success: false, error: 'Токен не найден' });
+
+    const validation = await validateVkToken(stored.token, stored.groupId);
+    if (validation.transient) return respondTransientFailure(res, validation);
+
+    const credential = await saveValidation(req.params.id, validation);
+
+    return res.json({ success: true, valid: validation.valid, validation, credential });
+  } catch (err) {
+    console.error('❌ Ошибка проверки токена VK:', err);
+    return res.status(500).json({ success: false, error: 'Не удалось проверить токен VK' });
+  }
+});
+
+// Swap in a new token for the same community
+router.post('/:id/rotate', requireRole('publisher'), async (req, res) => {
+  if (!checkId(req, res)) return;
+
+  const { token } = req.body || {};
+  if (typeof token !== 'string' || !token.trim()) {
+    return res.status(400).json({ success: false, error: 'Укажите token' });
+  }
+
+  try {
+    const current = await getVkCredential(req.params.id);
+    if (!current || current.revoked_at) return res.status(404).json({ success: false, error: 'Токен не найден' });
+
+    const validation = await validateVkToken(token.trim(), current.group_id);
+    if (validation.transient) return respondTransientFailure(res, validation);
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, error: `Токен не прошёл проверку: ${validation.error}`, validation });
+    }
+
+    const { expiresAt, error: expiryError } = parseExpiry(req.body, validation);
+    if (expiryError) return res.status(400).json({ success: false, error: expiryError });
+
+    const credential = await rotateVkCredential(req.params.id, { token: token.trim(), expiresAt }, validation);
+    await auditCredential(req.user, 'vk_credential_rotate', credential);
+
+    return res.json({ success: true, credential });
+  } catch (err) {
+    console.error('❌ Ошибка замены токена VK:', err);
+    return res.status(500).json({ success: false, error: 'Не удалось заменить токен VK' });
+  }
+});
+
+router.delete('/:id', requireRole('publisher'), async (req, res) => {
+  if (!checkId(req, res)) return;
+
+  try {
+    const credential = await revokeVkCredential(req.params.id);
+    if (!credential) return res.status(404).json({ success: false, error: 'Токен не найден' });
+
+    await auditCredential(req.user, 'vk_credential_revoke', credential);
+    return res.json({ success: true, message: 'Токен отозван' });
+  } catch (err) {
+    console.error('❌ Ошибка отзыва токена VK:', err);
+    return res.status(500).json({ success: false, error: 'Не удалось отозвать токен VK' });
+  }
+});
+
+module.exports = router;
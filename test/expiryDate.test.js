@@ -0,0 +1,16 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { localToday, isDepubDatePassed } = require('../utils/expiryDate');
+
+test('localToday uses the local calendar date, not the UTC one', () => {
+  assert.equal(localToday(new Date(2025, 2, 5, 23, 59)), '2025-03-05');
+  assert.equal(localToday(new Date(2025, 2, 6, 0, 1)), '2025-03-06');
+});
+
+test('a vacancy expires on its depub_date', () => {
+  assert.equal(isDepubDatePassed('2025-03-04', '2025-03-05'), true);
+  assert.equal(isDepubDatePassed('2025-03-05', '2025-03-05'), true);
+  assert.equal(isDepubDatePassed('2025-03-06', '2025-03-05'), false);
+  assert.equal(isDepubDatePassed('2025-03-05T00:00:00+00:00', '2025-03-05'), true);
+  assert.equal(isDepubDatePassed(null, '2025-03-05'), false);
+});
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { groupJobs } = require('../utils/jobGrouping');
+
+const TITLES = [
+  'Продавец-кассир', 'Продавец', 'Водитель погрузчика', 'Водитель категории C', 'Повар', 'Повар-кондитер',
+  'Менеджер по продажам', 'Грузчик', 'Уборщица', 'Оператор станков ЧПУ', 'Токарь-универсал', 'Слесарь-ремонтник',
+  'Электромонтер', 'Главный бухгалтер', 'Кладовщик', 'Сварщик', 'Инженер-конструктор', 'Медицинская сестра'
+];
+const QUALIFIERS = ['', 'в цех', 'на склад', 'ночные смены', 'вахта', 'в магазин', 'в офис'];
+
+// Deterministic feed: repeated titles with qualifiers, like a real import
+function makeJobs(count) {
+  let seed = 42;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const pick = list => list[Math.floor(random() * list.length)];
+
+  return Array.from({ length: count }, (_, id) => ({
+    id,
+    job_title: `${pick(TITLES)} ${pick(QUALIFIERS)}`.trim(),
+    company_inn: String(5260000000 + Math.floor(random() * 20))
+  }));
+}
+
+test('groups similar titles and keeps different ones apart', () => {
+  const jobs = [
+    { job_title: 'Продавец-кассир' },
+    { job_title: 'Водитель погрузчика' },
+    { job_title: 'Продавцы-кассиры' },
+    { job_title: 'Водитель погрузчика (вахта)' },
+    { job_title: 'Бухгалтер' }
+  ];
+
+  const { explanation } = groupJobs(jobs, { groupBy: 'title' });
+  assert.deepEqual(explanation.groups.map(group => group.jobs), [[0, 2], [1, 3], [4]]);
+});
+
+test('maxJobsPerPost caps title groups', () => {
+  const jobs = Array.from({ length: 5 }, () => ({ job_title: 'Грузчик' }));
+
+  const { explanation } = groupJobs(jobs, { groupBy: 'title', maxJobsPerPost: 2 });
+  assert.deepEqual(explanation.groups.map(group => group.jobs.length), [2, 2, 1]);
+});
+
+test('title grouping of 1000 jobs stays fast', () => {
+  const jobs = makeJobs(1000);
+
+  for (const groupBy of ['title', 'company_title']) {
+    const started = Date.now();
+    const { groups } = groupJobs(jobs, { groupBy });
+    const elapsed = Date.now() - started;
+
+    assert.equal(groups.flat().length, jobs.length);
+    // Pairwise re-scoring took minutes at this size; well under a second is expected
+    assert.ok(elapsed < 5000, `groupBy=${groupBy} took ${elapsed} ms`);
+  }
+});
+
+test('many identical titles are clustered and explained without comparing every pair', () => {
+  const jobs = Array.from({ length: 2000 }, (_, id) => ({ id, job_title: id % 10 ? 'Грузчик' : 'Грузчик на склад' }));
+
+  const started = Date.now();
+  const { groups, explanation } = groupJobs(jobs, { groupBy: 'title' });
+  const elapsed = Date.now() - started;
+
+  assert.equal(groups.length, 1);
+  // One score for the only pair of distinct normalized titles, not one per pair of jobs
+  assert.deepEqual(explanation.groups[0].scores, [{ a: 0, b: 1, score: 0.667, pairs: 200 * 1800 }]);
+  assert.equal(explanation.groups[0].cohesion, 0.94);
+  assert.ok(JSON.stringify(explanation).length < 200000);
+  assert.ok(elapsed < 1000, `took ${elapsed} ms`);
+
+  const capped = groupJobs(jobs, { groupBy: 'title', maxJobsPerPost: 10 });
+  assert.equal(capped.groups.length, 200);
+  assert.ok(capped.groups.every(group => group.length === 10));
+});
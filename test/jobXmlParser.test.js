@@ -0,0 +1,133 @@
+// Fixture feeds cover the schema variants utils/jobXmlParser.js merges:
+// numbered ADRESSORABOTI1..8, DOPINFORMS_* vs DOPINFORMSUSLOVIY-style tags,
+// one DOPINFORMS text with headings, structured and flat GAFIK, and
+// district / village address parts.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseJobsXml } = require('../utils/jobXmlParser');
+
+function parseFixture(name) {
+  return parseJobsXml(fs.readFileSync(path.join(__dirname, 'fixtures', name)));
+}
+
+test('windows-1251 feed with numbered ADRESSORABOTI1..8 and DOPINFORMS_* tags', async () => {
+  const [job, ...rest] = await parseFixture('numbered-addresses.xml');
+
+  assert.equal(rest.length, 0);
+  assert.equal(job.job_title, 'Водитель погрузчика');
+  assert.equal(job.account_number, '1024');
+  assert.equal(job.account_date, '2025-03-05');
+  assert.equal(job.publication_date, '2025-03-05');
+  assert.equal(job.depub_date, '2025-04-05');
+  assert.equal(job.company_inn, '5260000000');
+  assert.equal(job.company_name, 'ООО "Склад-Сервис"');
+  assert.deepEqual(job.phones, ['+78312345678', '+79201112233']);
+  assert.deepEqual(job.invalid_phones, []);
+  assert.equal(job.email, 'hr@sklad.example');
+  assert.equal(job.contact_person, 'Иванова Мария');
+  assert.equal(job.salary, 'от 45000 до 60000 руб.');
+  assert.equal(job.salary_min, 45000);
+  assert.equal(job.salary_max, 60000);
+  assert.equal(job.rubr_atryb, 'Транспорт');
+
+  // Blocks in numeric order (8 after 4), the repeated block 3 dropped
+  assert.equal(
+    job.address,
+    'Нижегородская обл., Нижний Новгород, ул. Ленина, 5; Нижегородская обл., Дзержинск, пр. Циолковского, 12; ' +
+      'Нижегородская обл., Бор; Нижегородская обл., Кстово'
+  );
+  assert.deepEqual(job.locations.map(location => location.city), ['Нижний Новгород', 'Дзержинск', 'Бор', 'Кстово']);
+  assert.deepEqual(job.locations[1], {
+    region: 'Нижегородская обл.',
+    district: null,
+    settlement_type: null,
+    settlement: null,
+    city: 'Дзержинск',
+    street: 'пр. Циолковского',
+    house: '12'
+  });
+
+  assert.equal(job.conditions, 'Официальное трудоустройство, Спецодежда');
+  assert.equal(job.responsibilities, 'Погрузка и разгрузка, Учёт товара');
+  assert.equal(job.requirements, 'Удостоверение тракториста-машиниста');
+  assert.equal(job.extra_info, null);
+  assert.equal(job.schedule, null);
+});
+
+test('DOPINFORMSUSLOVIY-style tags, RUBR_ATRYB and district / village address parts', async () => {
+  const [cook, worker] = await parseFixture('district-village.xml');
+
+  assert.equal(cook.job_title, 'Повар');
+  assert.equal(cook.account_date, '2025-03-05');
+  assert.equal(cook.publication_date, '2025-03-05');
+  assert.equal(cook.company_inn, '500100732259');
+  assert.deepEqual(cook.phones, ['+78314123456']);
+  assert.equal(cook.salary_min, 35000);
+  assert.equal(cook.rubr_atryb, 'Общепит');
+  assert.equal(cook.conditions, 'Бесплатное питание');
+  assert.equal(cook.responsibilities, 'Приготовление блюд');
+  assert.equal(cook.requirements, 'Санитарная книжка');
+  assert.equal(cook.address, 'Нижегородская обл., Кстовский район, село, Федяково');
+  assert.deepEqual(cook.locations, [{
+    region: 'Нижегородская обл.',
+    district: 'Кстовский',
+    settlement_type: 'село',
+    settlement: 'Федяково',
+    city: null,
+    street: null,
+    house: null
+  }]);
+
+  // Plain-text address block, an unusable phone, VAKOPISANIYE over DOPINFORMS
+  assert.equal(worker.address, 'Нижегородская обл., г. Бор, ул. Луначарского, 3');
+  assert.deepEqual(worker.locations, [{ raw: 'Нижегородская обл., г. Бор, ул. Луначарского, 3' }]);
+  assert.deepEqual(worker.phones, []);
+  assert.deepEqual(worker.invalid_phones, ['12345']);
+  assert.equal(worker.extra_info, 'Крупный дистрибьютор');
+  assert.equal(worker.company_inn, null);
+  assert.equal(worker.account_date, null);
+});
+
+test('single DOPINFORMS text split by headings', async () => {
+  const jobs = await parseFixture('dopinforms-headings.xml');
+  const [cashier, storekeeper] = jobs;
+
+  // The row without VAKNAZV / SCHETNOMER is not a vacancy
+  assert.equal(jobs.length, 2);
+
+  assert.equal(cashier.account_date, '2025-04-10');
+  assert.equal(cashier.responsibilities, 'работа на кассе, выкладка товара');
+  assert.equal(cashier.requirements, 'опыт от 1 года');
+  assert.equal(cashier.conditions, 'График 2/2, скидки на товары');
+  assert.equal(cashier.extra_info, 'Сеть магазинов у дома.');
+
+  assert.equal(storekeeper.responsibilities, null);
+  assert.equal(storekeeper.requirements, null);
+  assert.equal(storekeeper.conditions, null);
+  assert.equal(storekeeper.extra_info, 'Работа на складе & в офисе');
+});
+
+test('structured and flat GAFIK schedules', async () => {
+  const [cashier, guard, watchman] = await parseFixture('schedules.xml');
+
+  assert.equal(
+    cashier.schedule,
+    'смена: дневная, дни работы: пн-пт, время работы: 9-18; смена: ночная, дни работы: 2/2, время работы: 20-08'
+  );
+  assert.deepEqual(cashier.schedule_types, ['full_week', 'shift', 'night']);
+
+  assert.equal(
+    guard.schedule,
+    'дни работы: 5/2, время работы: 09:00-18:00; дни работы: 2/2, время работы: 08:00-20:00; вахта'
+  );
+  assert.deepEqual(guard.schedule_types, ['full_week', 'shift', 'rotation']);
+
+  assert.equal(watchman.schedule, 'сутки через трое');
+  assert.deepEqual(watchman.schedule_types, ['shift']);
+});
+
+test('rejects a document without DECLARBODY', async () => {
+  await assert.rejects(parseJobsXml(Buffer.from('<?xml version="1.0" encoding="utf-8"?><ROOT/>')), /DECLARBODY/);
+});
@@ -0,0 +1,29 @@
+// DECLARBODY export must be importable again: the parser fixtures are exported
+// and parsed back, and an empty export gives zero rows.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseJobsXml } = require('../utils/jobXmlParser');
+const { toDeclarbodyXml } = require('../utils/vacancyExport');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+test('exported fixtures parse back to the same jobs', async () => {
+  const fixtures = fs.readdirSync(FIXTURES_DIR).filter(name => name.endsWith('.xml'));
+  assert.ok(fixtures.length > 0);
+
+  for (const name of fixtures) {
+    const jobs = await parseJobsXml(fs.readFileSync(path.join(FIXTURES_DIR, name)));
+    const exported = toDeclarbodyXml(jobs);
+
+    assert.deepEqual(await parseJobsXml(Buffer.from(exported)), jobs, name);
+  }
+});
+
+test('an empty export parses as zero rows', async () => {
+  const exported = toDeclarbodyXml([]);
+
+  assert.match(exported, /<DECLARBODY\/>/);
+  assert.deepEqual(await parseJobsXml(Buffer.from(exported)), []);
+});
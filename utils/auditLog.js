@@ -0,0 +1,57 @@
+// utils/auditLog.js
+// Append-only trail of who imported, edited, published or deleted what.
+// Writing an entry never throws: a failed audit insert is logged and the
+// action that triggered it goes on.
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config();
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+// Actor for work done by the server itself (sweeper, queue retries without a requester)
+const SYSTEM_ACTOR = { id: 'system', name: 'system', role: null };
+
+function toActor(user) {
+  if (!user) return SYSTEM_ACTOR;
+  return { id: user.id, name: user.name || null, role: user.role || null };
+}
+
+// Only the fields that differ: { field: { before, after } }
+function diffObjects(before = {}, after = {}) {
+  const diff = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  keys.forEach(key => {
+    const prev = before?.[key] ?? null;
+    const next = after?.[key] ?? null;
+    if (JSON.stringify(prev) !== JSON.stringify(next)) {
+      diff[key] = { before: prev, after: next };
+    }
+  });
+
+  return diff;
+}
+
+// `changes` is [{ job_id, before, after }]; for updates pass full rows, they are reduced to a diff
+async function recordAudit({ user, actor, action, jobIds = [], changes = [], details = {} }) {
+  const entryActor = actor || toActor(user);
+  const normalizedChanges = changes.map(change => (
+    change.before && change.after
+      ? { job_id: change.job_id, diff: diffObjects(change.before, change.after) }
+      : change
+  ));
+
+  const { error } = await supabase.from('audit_log').insert({
+    actor_id: entryActor.id,
+    actor: entryActor,
+    action,
+    job_ids: [...new Set(jobIds.filter(id => id !== null && id !== undefined))],
+    changes: normalizedChanges,
+    details
+  });
+
+  if (error) {
+    console.error(`🔴 Не удалось записать аудит (${action}):`, error.message);
+  }
+}
+
+module.exports = { recordAudit, diffObjects, toActor, SYSTEM_ACTOR };
@@ -0,0 +1,138 @@
+// utils/companies.js
+// Employer profiles keyed by INN. The importer keeps `name` in line with the
+// feed; everything else is edited through /companies and never touched by imports.
+const { createClient } = require('@supabase/supabase-js');
+const { quoteFilterValue, INN_REGEX } = require('./vacancyFilters');
+const { chunkValues } = require('./inFilterChunks');
+require('dotenv').config();
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+// Fields PATCH /companies/:inn may change
+const EDITABLE_FIELDS = ['display_name', 'description', 'website', 'email', 'phone', 'hide_name_in_posts'];
+
+// Create missing companies and refresh feed names for the INNs in an import.
+// The newest row (by account_date) of each INN gives the name.
+async function upsertCompaniesFromJobs(jobs) {
+  const newest = new Map();
+  jobs.forEach(job => {
+    if (!job.company_inn) return;
+    const current = newest.get(job.company_inn);
+    if (!current || new Date(job.account_date) > new Date(current.account_date)) {
+      newest.set(job.company_inn, job);
+    }
+  });
+  if (newest.size === 0) return [];
+
+  const now = new Date().toISOString();
+  const rows = [...newest.values()].map(job => ({
+    inn: job.company_inn,
+    name: job.company_name || null,
+    last_imported_at: now
+  }));
+
+  // Only the columns above are written, edited profile fields stay as they are
+  const { data, error } = await supabase
+    .from('companies')
+    .upsert(rows, { onConflict: 'inn' })
+    .select('inn');
+
+  if (error) throw new Error(error.message);
+  return data.map(row => row.inn);
+}
+
+async function getCompany(inn) {
+  const { data, error } = await supabase.from('companies').select('*').eq('inn', inn).maybeSingle();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+async function getCompaniesByInn(inns) {
+  const companies = new Map();
+  for (const chunk of chunkValues([...new Set(inns.filter(Boolean))])) {
+    const { data, error } = await supabase.from('companies').select('*').in('inn', chunk);
+    if (error) throw new Error(error.message);
+    data.forEach(company => companies.set(company.inn, company));
+  }
+  return companies;
+}
+
+// Copies of the jobs with their company as `company_profile`, for rendering posts.
+// Without the profiles posts fall back to the feed name, so a lookup failure is only logged.
+async function attachCompanyProfiles(jobs) {
+  let companies;
+  try {
+    companies = await getCompaniesByInn(jobs.map(job => job.company_inn));
+  } catch (err) {
+    console.error('⚠️ Не удалось загрузить профили компаний:', err.message);
+    companies = new Map();
+  }
+  return jobs.map(job => ({ ...job, company_profile: companies.get(job.company_inn) || null }));
+}
+
+// GET /companies: name or INN search, offset paging
+async function listCompanies({ search, page, limit }) {
+  const offset = (page - 1) * limit;
+  let query = supabase.from('companies').select('*', { count: 'exact' });
+
+  if (search) {
+    const pattern = quoteFilterValue(`%${search}%`);
+    query = query.or(`name.ilike.${pattern},display_name.ilike.${pattern},inn.ilike.${pattern}`);
+  }
+
+  const { data, error, count } = await query
+    .order('name', { ascending: true, nullsFirst: false })
+    .order('inn', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (error) throw new Error(error.message);
+  return { companies: data, totalCount: count };
+}
+
+// Returns { update } or { error } for the PATCH body
+function validateCompanyUpdate(body = {}) {
+  const unknown = Object.keys(body).filter(key => !EDITABLE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    return { error: `Нельзя изменить поля: ${unknown.join(', ')}. Допустимые поля: ${EDITABLE_FIELDS.join(', ')}` };
+  }
+
+  const update = {};
+  for (const [key, value] of Object.entries(body)) {
+    if (key === 'hide_name_in_posts') {
+      if (typeof value !== 'boolean') return { error: 'hide_name_in_posts должен быть true или false' };
+      update[key] = value;
+    } else if (value === null || value === '') {
+      update[key] = null;
+    } else if (typeof value !== 'string') {
+      return { error: `${key} должен быть строкой` };
+    } else {
+      update[key] = value.trim();
+    }
+  }
+
+  if (Object.keys(update).length === 0) return { error: 'Нет полей для обновления' };
+  return { update };
+}
+
+async function updateCompany(inn, update) {
+  const { data, error } = await supabase
+    .from('companies')
+    .update({ ...update, updated_at: new Date().toISOString() })
+    .eq('inn', inn)
+    .select('*')
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+module.exports = {
+  upsertCompaniesFromJobs,
+  getCompany,
+  getCompaniesByInn,
+  attachCompanyProfiles,
+  listCompanies,
+  validateCompanyUpdate,
+  updateCompany,
+  EDITABLE_FIELDS
+};
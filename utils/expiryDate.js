@@ -0,0 +1,16 @@
+// utils/expiryDate.js
+// When a vacancy counts as expired. The importer, the expiry sweeper and the VK
+// post sync all use this rule: depub_date today or earlier, by the server's calendar.
+
+// YYYY-MM-DD in the server's time zone, comparable with the `date` column depub_date
+function localToday(now = new Date()) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+function isDepubDatePassed(depubDate, today = localToday()) {
+  if (!depubDate) return false;
+  return String(depubDate).split('T')[0] <= today;
+}
+
+module.exports = { localToday, isDepubDatePassed };
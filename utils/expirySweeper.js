@@ -0,0 +1,118 @@
+// utils/expirySweeper.js
+// Periodically archives vacancies whose depub_date has passed and, when
+// EXPIRY_SYNC_VK=true, edits or deletes the VK posts they were published in.
+const { createClient } = require('@supabase/supabase-js');
+const { getVkPostRefs, syncVkPosts, ARCHIVED_STATUS } = require('./vkPostSync');
+const { recordAudit, SYSTEM_ACTOR } = require('./auditLog');
+const { localToday } = require('./expiryDate');
+require('dotenv').config();
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+const TASK_NAME = 'expiry';
+const SWEEP_INTERVAL_MS = Number(process.env.EXPIRY_SWEEP_INTERVAL_MS) || 60 * 60 * 1000;
+
+let sweepTimer = null;
+let isSweeping = false;
+let lastRun = null;
+
+async function saveRun(run) {
+  const { error } = await supabase.from('maintenance_runs').insert({
+    task: TASK_NAME,
+    started_at: run.startedAt,
+    finished_at: run.finishedAt,
+    success: run.success,
+    result: run
+  });
+
+  if (error) {
+    console.error('🔴 Не удалось сохранить результат очистки вакансий:', error.message);
+  }
+}
+
+async function runExpirySweep({ syncVk = process.env.EXPIRY_SYNC_VK === 'true' } = {}) {
+  if (isSweeping) return null;
+  isSweeping = true;
+
+  const run = {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    success: false,
+    archivedJobIds: [],
+    vkSync: [],
+    error: null
+  };
+
+  try {
+    // Same rule as the importer and the VK sync, see utils/expiryDate.js.
+    // Updated by the filter itself, an id list can outgrow the request URL on the first run.
+    const { data: archived, error } = await supabase
+      .from('jobs')
+      .update({ status: ARCHIVED_STATUS })
+      .lte('depub_date', localToday())
+      .or(`status.is.null,status.neq.${ARCHIVED_STATUS}`)
+      .select('id');
+
+    if (error) throw new Error(error.message);
+
+    const ids = (archived || []).map(job => job.id);
+
+    if (ids.length > 0) {
+      run.archivedJobIds = ids;
+
+      await recordAudit({
+        actor: { ...SYSTEM_ACTOR, id: 'system:expiry-sweeper' },
+        action: 'vacancy_archive',
+        jobIds: ids,
+        details: { status: ARCHIVED_STATUS }
+      });
+
+      if (syncVk) {
+        run.vkSync = await syncVkPosts(await getVkPostRefs(ids));
+      }
+    }
+
+    run.success = true;
+    console.log(`🗄️ Архивировано просроченных вакансий: ${ids.length}`);
+  } catch (err) {
+    run.error = err.message;
+    console.error('❌ Ошибка очистки просроченных вакансий:', err);
+  } finally {
+    run.finishedAt = new Date().toISOString();
+    lastRun = run;
+    isSweeping = false;
+  }
+
+  await saveRun(run);
+  return run;
+}
+
+async function getLastExpiryRun() {
+  const { data, error } = await supabase
+    .from('maintenance_runs')
+    .select('result')
+    .eq('task', TASK_NAME)
+    .order('started_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.error('🔴 Не удалось прочитать результат очистки вакансий:', error.message);
+    return lastRun;
+  }
+
+  return data?.result || lastRun;
+}
+
+function startExpirySweeper() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(runExpirySweep, SWEEP_INTERVAL_MS);
+  runExpirySweep();
+}
+
+function stopExpirySweeper() {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+}
+
+module.exports = { runExpirySweep, getLastExpiryRun, startExpirySweeper, stopExpirySweeper };
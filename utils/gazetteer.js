@@ -0,0 +1,304 @@
+// utils/gazetteer.js
+// Local settlement dataset (`settlements` table) used to normalize the work
+// locations of vacancies: canonical names, district and coordinates. The table
+// is loaded from CSV through POST /gazetteer/import and cached in memory.
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config();
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const PAGE_SIZE = 1000;
+const CSV_COLUMNS = ['name', 'type', 'district', 'region', 'lat', 'lon', 'population', 'code'];
+
+// "г. Кстово", "село Федяково", "р.п. Шатки" -> the name alone
+const SETTLEMENT_TYPE_PREFIX = /^(г|гор|город|с|село|д|дер|деревня|п|пос|поселок|рп|р\.\s?п|пгт|гп|х|хутор|сл|слобода|ст|станция|мкр|микрорайон)\.?\s+/;
+const DISTRICT_SUFFIX = /\s+(район|р-н|муниципальный район|муниципальный округ|городской округ|м\.\s?о\.?|г\.\s?о\.?)$/;
+const REGION_PART = /(обл\.?|область|край|республика|респ\.)/i;
+const STREET_PART = /^(ул|улица|пр|пр-т|проспект|пер|переулок|ш|шоссе|пл|площадь|наб|набережная|б-р|бульвар)\.?\s/i;
+
+let cache = null;
+
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(/["«»]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(SETTLEMENT_TYPE_PREFIX, '')
+    .replace(/[.,\s]+$/, '');
+}
+
+function normalizeDistrict(name) {
+  return normalizeName(name).replace(DISTRICT_SUFFIX, '').trim();
+}
+
+// "Нижегородская обл." and "Нижегородская область" -> "нижегородская"
+function normalizeRegion(name) {
+  return normalizeName(name).replace(/\s*(обл\.?|область|край|республика|респ\.?|ао|автономный округ)\s*/g, ' ').trim();
+}
+
+async function fetchAllSettlements() {
+  const settlements = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('settlements')
+      .select('id, name, type, district, region, lat, lon, population')
+      .order('id')
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) throw new Error(error.message);
+    settlements.push(...data);
+    if (data.length < PAGE_SIZE) return settlements;
+  }
+}
+
+// Settlements indexed by normalized name
+async function loadGazetteer({ force = false } = {}) {
+  if (!force && cache && cache.loadedAt > Date.now() - CACHE_TTL_MS) return cache.index;
+
+  const index = new Map();
+  (await fetchAllSettlements()).forEach(settlement => {
+    const key = normalizeName(settlement.name);
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(settlement);
+  });
+
+  cache = { index, loadedAt: Date.now() };
+  return index;
+}
+
+function invalidateGazetteer() {
+  cache = null;
+}
+
+// Same-named settlements are told apart by district; otherwise the most populous wins
+function matchSettlement(index, name, district) {
+  let candidates = index.get(normalizeName(name)) || [];
+  if (candidates.length === 0) return null;
+
+  if (district) {
+    const inDistrict = candidates.filter(c => c.district && normalizeDistrict(c.district) === normalizeDistrict(district));
+    if (inDistrict.length > 0) candidates = inDistrict;
+  }
+
+  const [best] = [...candidates].sort((a, b) => (b.population || 0) - (a.population || 0));
+  return { settlement: best, match: candidates.length === 1 ? 'exact' : 'ambiguous' };
+}
+
+// Plain-text address: the district is the part ending in "район", the settlement the first part found in the index
+function matchRawAddress(index, raw) {
+  const parts = raw.split(',').map(part => part.trim()).filter(Boolean);
+  const district = parts.find(part => DISTRICT_SUFFIX.test(normalizeName(part)));
+
+  for (const part of parts) {
+    if (part === district || REGION_PART.test(part) || STREET_PART.test(part)) continue;
+    const found = matchSettlement(index, part, district);
+    if (found) return found;
+  }
+  return null;
+}
+
+function toNormalized(settlement) {
+  return {
+    settlement_id: settlement.id,
+    name: settlement.name,
+    type: settlement.type || null,
+    district: settlement.district || null,
+    region: settlement.region || null,
+    lat: settlement.lat ?? null,
+    lon: settlement.lon ?? null
+  };
+}
+
+// Location record from utils/jobXmlParser.js plus `normalized` and `match` (exact | ambiguous | none)
+function geocodeLocation(location, index) {
+  const { normalized: _normalized, match: _match, ...fields } = location;
+  const found = fields.raw
+    ? matchRawAddress(index, fields.raw)
+    : matchSettlement(index, fields.city || fields.settlement, fields.district);
+
+  return found
+    ? { ...fields, normalized: toNormalized(found.settlement), match: found.match }
+    : { ...fields, normalized: null, match: 'none' };
+}
+
+// Lower-case city, district and region keys for filtering (GET /vacancies?city=&district=&region=)
+function locationKeys(locations) {
+  const cities = new Set();
+  const districts = new Set();
+  const regions = new Set();
+
+  locations.forEach(location => {
+    const city = location.normalized?.name || location.city || location.settlement;
+    const district = location.normalized?.district || location.district;
+    const region = location.normalized?.region || location.region;
+    if (city) cities.add(normalizeName(city));
+    if (district) districts.add(normalizeDistrict(district));
+    if (region) regions.add(normalizeRegion(region));
+  });
+
+  return { location_cities: [...cities], location_districts: [...districts], location_regions: [...regions] };
+}
+
+// Geocoded `locations` plus filter keys for each job. Rows without `locations`
+// (imported before they existed) are read from the flattened address.
+// Without a reachable gazetteer the records are kept as they are, unmatched.
+async function geocodeJobs(jobs) {
+  let index = new Map();
+  try {
+    index = await loadGazetteer();
+  } catch (err) {
+    console.error('🟠 Справочник населённых пунктов недоступен, адреса не нормализованы:', err.message);
+  }
+
+  return jobs.map(job => {
+    const source = Array.isArray(job.locations) && job.locations.length > 0
+      ? job.locations
+      : String(job.address || '').split(';').map(raw => raw.trim()).filter(Boolean).map(raw => ({ raw }));
+    const locations = source.map(location => geocodeLocation(location, index));
+    return { ...job, locations, ...locationKeys(locations) };
+  });
+}
+
+function parseCsvLine(line, delimiter) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+// CSV with a header row; `name` is required, the other CSV_COLUMNS are optional.
+// Returns { rows, errors: [{ line, error }] }.
+function parseGazetteerCsv(buffer) {
+  const lines = buffer.toString('utf8').replace(/^﻿/, '').split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) return { rows: [], errors: [{ line: 1, error: 'Файл пуст' }] };
+
+  const delimiter = (lines[0].match(/;/g) || []).length > (lines[0].match(/,/g) || []).length ? ';' : ',';
+  const header = parseCsvLine(lines[0], delimiter).map(column => column.toLowerCase());
+  if (!header.includes('name')) {
+    return { rows: [], errors: [{ line: 1, error: `В заголовке нет колонки name (ожидаются: ${CSV_COLUMNS.join(', ')})` }] };
+  }
+
+  const rows = [];
+  const errors = [];
+  lines.slice(1).forEach((line, idx) => {
+    const cells = parseCsvLine(line, delimiter);
+    const record = {};
+    header.forEach((column, col) => {
+      if (CSV_COLUMNS.includes(column)) record[column] = cells[col] || null;
+    });
+
+    const lineNumber = idx + 2;
+    if (!record.name) return errors.push({ line: lineNumber, error: 'Не указано название' });
+
+    const numbers = {};
+    for (const column of ['lat', 'lon', 'population']) {
+      const value = record[column] ? Number(String(record[column]).replace(',', '.')) : null;
+      if (value !== null && isNaN(value)) return errors.push({ line: lineNumber, error: `Некорректное значение ${column}: "${record[column]}"` });
+      numbers[column] = value;
+    }
+
+    rows.push({ ...record, ...numbers, population: numbers.population !== null ? Math.round(numbers.population) : null });
+  });
+
+  return { rows, errors };
+}
+
+// Load parsed rows; `replace` drops the current dataset first
+async function importSettlements(rows, { replace = false } = {}) {
+  if (replace) {
+    const { error } = await supabase.from('settlements').delete().gte('id', 0);
+    if (error) throw new Error(error.message);
+  }
+
+  for (let i = 0; i < rows.length; i += PAGE_SIZE) {
+    const { error } = await supabase.from('settlements').insert(rows.slice(i, i + PAGE_SIZE));
+    if (error) throw new Error(error.message);
+  }
+
+  invalidateGazetteer();
+  return { imported: rows.length };
+}
+
+async function searchSettlements(query, limit = 20) {
+  const { data, error } = await supabase
+    .from('settlements')
+    .select('*')
+    .ilike('name', `%${query}%`)
+    .order('population', { ascending: false, nullsFirst: false })
+    .limit(limit);
+
+  if (error) throw new Error(error.message);
+  return data || [];
+}
+
+// Match the stored vacancies again, e.g. after loading a new dataset
+async function regeocodeStoredJobs() {
+  await loadGazetteer({ force: true });
+  let updated = 0;
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('jobs')
+      .select('id, address, locations')
+      .order('id')
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) throw new Error(error.message);
+
+    for (const job of await geocodeJobs(data)) {
+      const { error: updateError } = await supabase
+        .from('jobs')
+        .update({
+          locations: job.locations,
+          location_cities: job.location_cities,
+          location_districts: job.location_districts,
+          location_regions: job.location_regions
+        })
+        .eq('id', job.id);
+
+      if (updateError) throw new Error(updateError.message);
+      updated++;
+    }
+
+    if (data.length < PAGE_SIZE) return { updated };
+  }
+}
+
+module.exports = {
+  normalizeName,
+  normalizeDistrict,
+  normalizeRegion,
+  loadGazetteer,
+  geocodeLocation,
+  geocodeJobs,
+  locationKeys,
+  parseGazetteerCsv,
+  importSettlements,
+  searchSettlements,
+  regeocodeStoredJobs
+};
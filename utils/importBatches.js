@@ -0,0 +1,243 @@
+// utils/importBatches.js
+// One import_batches row per uploaded XML file: who uploaded what, and which
+// jobs it inserted or overwrote. Enough to undo a wrong upload in one call.
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { toActor, recordAudit } = require('./auditLog');
+const { getVkPostRefs, syncVkPosts } = require('./vkPostSync');
+require('dotenv').config();
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+const BATCH_STATUS = {
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  ROLLED_BACK: 'rolled_back'
+};
+
+// An upload still `in_progress` after this long was cut short (crash, or its
+// final status could not be saved) and is handled as failed
+const STALE_BATCH_MS = Number(process.env.IMPORT_STALE_BATCH_MS) || 30 * 60 * 1000;
+const INTERRUPTED_ERROR = 'Импорт прерван до завершения';
+
+// Snapshot columns a rollback must not write back: the key, the insert time and
+// generated columns (search_vector, migration 014), which Postgres refuses to update
+const NON_RESTORABLE_COLUMNS = ['id', 'created_at', 'search_vector'];
+
+function restorableFields(snapshot) {
+  return Object.fromEntries(Object.entries(snapshot).filter(([column]) => !NON_RESTORABLE_COLUMNS.includes(column)));
+}
+
+function computeChecksum(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+async function createImportBatch({ fileName, checksum, user, rowCount }) {
+  const { data, error } = await supabase
+    .from('import_batches')
+    .insert({
+      file_name: fileName || null,
+      checksum,
+      uploaded_by: toActor(user),
+      row_count: rowCount,
+      status: BATCH_STATUS.IN_PROGRESS
+    })
+    .select('*')
+    .single();
+
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+// Written while the import runs, before rows are overwritten, so that a batch
+// cut short can still be rolled back
+async function recordImportProgress(batchId, { insertedIds, updatedIds, updatedSnapshots }) {
+  const { error } = await supabase
+    .from('import_batches')
+    .update({ inserted_job_ids: insertedIds, updated_job_ids: updatedIds, updated_snapshots: updatedSnapshots })
+    .eq('id', batchId);
+
+  if (error) throw new Error(error.message);
+}
+
+// `updatedSnapshots` is [{ id, before }]: the rows as they were before this
+// batch overwrote them, so a rollback can put them back. Lists that are left
+// out keep what recordImportProgress saved.
+async function finishImportBatch(batchId, { success, insertedIds, updatedIds, updatedSnapshots, error = null }) {
+  const update = {
+    status: success ? BATCH_STATUS.COMPLETED : BATCH_STATUS.FAILED,
+    error,
+    finished_at: new Date().toISOString()
+  };
+  if (insertedIds) update.inserted_job_ids = insertedIds;
+  if (updatedIds) update.updated_job_ids = updatedIds;
+  if (updatedSnapshots) update.updated_snapshots = updatedSnapshots;
+
+  const { error: updateError } = await supabase
+    .from('import_batches')
+    .update(update)
+    .eq('id', batchId);
+
+  if (updateError) {
+    console.error(`🔴 Не удалось сохранить итог импорта #${batchId}:`, updateError.message);
+  }
+}
+
+function staleBatchCutoff() {
+  return new Date(Date.now() - STALE_BATCH_MS).toISOString();
+}
+
+function isStaleBatch(batch) {
+  return batch.status === BATCH_STATUS.IN_PROGRESS && batch.created_at < staleBatchCutoff();
+}
+
+// Marks stale uploads failed at startup. Younger `in_progress` batches may still be
+// running in another instance; they are left alone and handled by isStaleBatch later.
+async function recoverStaleImportBatches() {
+  const { data, error } = await supabase
+    .from('import_batches')
+    .update({ status: BATCH_STATUS.FAILED, error: INTERRUPTED_ERROR, finished_at: new Date().toISOString() })
+    .eq('status', BATCH_STATUS.IN_PROGRESS)
+    .lt('created_at', staleBatchCutoff())
+    .select('id');
+
+  if (error) {
+    console.error('❌ Не удалось отметить прерванные импорты:', error.message);
+    return;
+  }
+  if (data.length > 0) {
+    console.log(`🟠 Прерванные импорты отмечены как неудачные: ${data.map(batch => `#${batch.id}`).join(', ')}`);
+  }
+}
+
+async function getImportBatch(id) {
+  const { data, error } = await supabase.from('import_batches').select('*').eq('id', id).maybeSingle();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+// Earliest upload of the same file that still counts (not failed, rolled back or stale)
+async function findImportByChecksum(checksum) {
+  const { data, error } = await supabase
+    .from('import_batches')
+    .select('id, created_at, file_name, uploaded_by, status')
+    .eq('checksum', checksum)
+    .or(`status.eq.${BATCH_STATUS.COMPLETED},and(status.eq.${BATCH_STATUS.IN_PROGRESS},created_at.gt.${staleBatchCutoff()})`)
+    .order('created_at', { ascending: true })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+// Summary rows for the list view; snapshots are only returned by getImportBatch
+async function listImportBatches({ page = 1, limit = 50 } = {}) {
+  const offset = (page - 1) * limit;
+  const { data, error, count } = await supabase
+    .from('import_batches')
+    .select(
+      'id, created_at, finished_at, file_name, checksum, uploaded_by, row_count, status, inserted_job_ids, updated_job_ids, error, rolled_back_at, rolled_back_by',
+      { count: 'exact' }
+    )
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) throw new Error(error.message);
+  return { batches: data || [], totalCount: count };
+}
+
+// Delete the jobs the batch inserted and restore the ones it overwrote. Jobs are
+// found by their batch_id, so a batch cut short is undone as far as it got. Jobs a
+// later upload has taken over (batch_id changed since) are left alone and reported.
+async function rollbackImportBatch(batch, user = null) {
+  const { data: owned, error } = await supabase.from('jobs').select('*').eq('batch_id', batch.id);
+  if (error) throw new Error(error.message);
+
+  const ownedById = new Map(owned.map(job => [job.id, job]));
+  const snapshots = batch.updated_snapshots || [];
+  const snapshotIds = new Set(snapshots.map(({ id }) => id));
+  const result = { deletedIds: [], restoredIds: [], skippedIds: [], vkSync: [] };
+
+  // Recorded by the batch but not carrying its batch_id: taken over by a later upload,
+  // deleted, or never reached by an import that was cut short
+  result.skippedIds.push(...[...batch.inserted_job_ids, ...batch.updated_job_ids].filter(id => !ownedById.has(id)));
+
+  // Overwritten rows first: once restored they carry their previous batch_id
+  const changes = [];
+  const failedIds = [];
+  for (const { id, before } of snapshots) {
+    if (!ownedById.has(id)) continue;
+
+    const { data, error: restoreError } = await supabase.from('jobs').update(restorableFields(before)).eq('id', id).select('*');
+    if (restoreError) {
+      console.error(`🔴 Не удалось восстановить вакансию ID ${id}:`, restoreError.message);
+      failedIds.push(id);
+      continue;
+    }
+
+    result.restoredIds.push(id);
+    if (data[0]) changes.push({ job_id: id, before: ownedById.get(id), after: data[0] });
+  }
+  result.skippedIds.push(...failedIds);
+
+  if (changes.length > 0) {
+    await recordAudit({ user, action: 'vacancy_update', jobIds: result.restoredIds, changes, details: { mode: 'import_rollback', batch_id: batch.id } });
+  }
+
+  // Every other job still carrying the batch_id was inserted by this batch; snapshots are
+  // recorded before rows are overwritten, so an overwritten row never lacks one
+  const toDelete = owned.filter(job => !snapshotIds.has(job.id)).map(job => job.id);
+  const deleteRefs = await getVkPostRefs(toDelete);
+  if (toDelete.length > 0) {
+    let query = supabase.from('jobs').delete().eq('batch_id', batch.id);
+    if (failedIds.length > 0) query = query.not('id', 'in', `(${failedIds.join(',')})`);
+    const { data: deleted, error: deleteError } = await query.select('*');
+    if (deleteError) throw new Error(deleteError.message);
+
+    result.deletedIds = deleted.map(job => job.id);
+    await recordAudit({
+      user,
+      action: 'vacancy_delete',
+      jobIds: result.deletedIds,
+      changes: deleted.map(job => ({ job_id: job.id, before: job, after: null })),
+      details: { mode: 'import_rollback', batch_id: batch.id }
+    });
+  }
+
+  // Posts of restored jobs are re-rendered with the previous text
+  const restoreRefs = await getVkPostRefs(result.restoredIds);
+  const refs = new Map([...deleteRefs, ...restoreRefs].map(ref => [`${ref.ownerId}_${ref.postId}`, ref]));
+  result.vkSync = await syncVkPosts([...refs.values()], user);
+
+  const { error: statusError } = await supabase
+    .from('import_batches')
+    .update({ status: BATCH_STATUS.ROLLED_BACK, rolled_back_at: new Date().toISOString(), rolled_back_by: toActor(user) })
+    .eq('id', batch.id);
+
+  if (statusError) throw new Error(statusError.message);
+
+  await recordAudit({
+    user,
+    action: 'import_rollback',
+    jobIds: [...result.deletedIds, ...result.restoredIds],
+    details: { batch_id: batch.id, file_name: batch.file_name, ...result }
+  });
+
+  return result;
+}
+
+module.exports = {
+  BATCH_STATUS,
+  recordImportProgress,
+  recoverStaleImportBatches,
+  isStaleBatch,
+  computeChecksum,
+  createImportBatch,
+  findImportByChecksum,
+  finishImportBatch,
+  getImportBatch,
+  listImportBatches,
+  rollbackImportBatch
+};
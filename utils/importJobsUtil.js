@@ -1,204 +1,265 @@
 // utils/importJobsUtil.js
-const xml2js = require('xml2js');
-const iconv = require('iconv-lite');
 const { createClient } = require('@supabase/supabase-js');
+const { parseJobEntries } = require('./jobXmlParser');
+const { validateJobEntries } = require('./jobValidation');
+const { geocodeJobs } = require('./gazetteer');
+const {
+  computeChecksum,
+  createImportBatch,
+  findImportByChecksum,
+  finishImportBatch,
+  recordImportProgress
+} = require('./importBatches');
+const { upsertCompaniesFromJobs } = require('./companies');
+const { chunkValues } = require('./inFilterChunks');
+const { isDepubDatePassed } = require('./expiryDate');
 require('dotenv').config();
 
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
 
-async function importJobsFromXmlBuffer(buffer) {
-  try {
-    const xmlContent = iconv.decode(buffer, 'windows-1251');
-    const parser = new xml2js.Parser({ explicitArray: false });
-    const parsed = await parser.parseStringPromise(xmlContent);
-
-    const allRows = parsed?.DECLARBODY?.ROW || [];
-    const rows = Array.isArray(allRows) ? allRows : [allRows];
-    const jobRows = rows.filter(row => row.SCHETNOMER || row.VAKNAZV);
-
-    const formatted = jobRows.map(row => {
-      // Get responsibilities, requirements, and conditions directly from their tags
-      const responsibilities = row.DOPINFORMS_OBYZANOSTI;
-      const requirements = row.DOPINFORMS_TREBOVANIY;
-      const conditions = row.DOPINFORMS_USLOVIY;
-
-      // Collect all address blocks and combine them
-      const addresses = [];
-      if (row.ADRESSORABOTI) { // Original tag
-          addresses.push(extractAddress(row.ADRESSORABOTI));
-      }
-      // Iterate for numbered ADRESSORABOTI tags (assuming up to 8 based on sample)
-      for (let i = 1; i <= 8; i++) {
-          if (row[`ADRESSORABOTI${i}`]) {
-              addresses.push(extractAddress(row[`ADRESSORABOTI${i}`]));
-          }
-      }
-      const combinedAddress = addresses.filter(Boolean).join('; ');
-
-      return {
-        job_title: row.VAKNAZV || null,
-        publication_date: toISODate(row.PUBLON),
-        depub_date: toISODate(row.PUBLOFF),
-        account_number: row.SCHETNOMER || null,
-        account_date: parseDate(row.SCHETDATA),
-        company_inn: row.INNKOMPAN || null,
-        company_name: row.NAZVKOMPAN || null,
-        phone: extractPhone(row.TELEF),
-        email: row.ELPOCHTA || null,
-        address: combinedAddress,
-        conditions: cleanHtmlToText(conditions),
-        responsibilities: cleanHtmlToText(responsibilities),
-        requirements: cleanHtmlToText(requirements),
-        // Prioritize new schedule structure (GAFIK_RABOTI1), fallback to old (GAFIK_RABOTI)
-        schedule: extractSchedule(row.GAFIK_RABOTI1 || row.GAFIK_RABOTI),
-        salary: row.ZARPL || null,
-        contact_person: row.KOGOSPROSITJ || null,
-        // Changed 'extra_info' to 'description' as requested
-        extra_info: row.VAKOPISANIYE || '',
-      };
-    });
+// Parse a DECLARBODY XML buffer into job rows ready for the `jobs` table,
+// together with the validation report. With `rejectInvalid` rows that have
+// errors are left out of `jobs`. Work locations are matched against the
+// gazetteer; nothing is written to Supabase here.
+async function parseJobsFromXmlBuffer(buffer, { rejectInvalid = false } = {}) {
+  const entries = await parseJobEntries(buffer);
+  const { report, accepted } = validateJobEntries(entries, { rejectInvalid });
+  return { jobs: await geocodeJobs(accepted.map(entry => entry.job)), report };
+}
 
-    if (formatted.length === 0) {
-      return { success: true, message: 'Нет новых вакансий', count: 0, data: [] };
+function dedupKey(job) {
+  if (!job.company_inn || !job.job_title) return null;
+  return `${job.company_inn}|${job.job_title.trim().toLowerCase()}`;
+}
+
+// Latest stored vacancy per company_inn + job_title for the INNs present in the file
+async function fetchExistingJobs(jobs) {
+  const inns = [...new Set(jobs.map(job => job.company_inn).filter(Boolean))];
+  const existing = new Map();
+  if (inns.length === 0) return existing;
+
+  const rows = [];
+  for (const chunk of chunkValues(inns)) {
+    const { data, error } = await supabase
+      .from('jobs')
+      .select('id, company_inn, job_title, account_date, vk_link, vk_post_id, channel_links')
+      .in('company_inn', chunk);
+
+    if (error) throw error;
+    rows.push(...(data || []));
+  }
+
+  rows.forEach(row => {
+    const key = dedupKey(row);
+    if (!key) return;
+    const current = existing.get(key);
+    if (!current || new Date(row.account_date) > new Date(current.account_date)) {
+      existing.set(key, row);
     }
+  });
 
-    const { data, error } = await supabase.from('jobs').insert(formatted).select('*');
+  return existing;
+}
 
-    if (error) {
-    console.error('❌ Ошибка Supabase при вставке:', error);
-    return { success: false, error: 'Ошибка Supabase', details: error };
+// Decide per row: skip if expired or not newer than what we have, update if newer, insert otherwise
+function planImport(formatted, existing) {
+  const toInsert = [];
+  const toUpdate = [];
+  const skipped = { expired: 0, duplicate: 0 };
+
+  // The same vacancy repeated inside one file: keep the newest row only
+  const newestInFile = new Map();
+  const candidates = [];
+  formatted.forEach(job => {
+    if (isDepubDatePassed(job.depub_date)) {
+      skipped.expired++;
+      return;
     }
 
-    console.log('✅ Вставка прошла успешно:', data);
+    const key = dedupKey(job);
+    if (!key) {
+      candidates.push({ key, job });
+      return;
+    }
 
-    // ✅ RETURN inserted rows WITH ID
-    return { success: true, message: 'Вакансии импортированы', count: data.length, jobs: data };
+    const earlier = newestInFile.get(key);
+    if (!earlier) {
+      const candidate = { key, job };
+      newestInFile.set(key, candidate);
+      candidates.push(candidate);
+      return;
+    }
 
-  } catch (err) {
-    return { success: false, error: 'Ошибка обработки XML', details: err };
-  }
-}
+    skipped.duplicate++;
+    if (new Date(job.account_date) > new Date(earlier.job.account_date)) earlier.job = job;
+  });
 
-// Helper to get address components dynamically
-function getAddressComponent(addressBlock, componentName) {
-  if (!addressBlock) return null;
-  for (const key in addressBlock) {
-    if (key.endsWith(`-${componentName.toUpperCase()}`)) {
-      return addressBlock[key];
+  candidates.forEach(({ key, job }) => {
+    const stored = key && existing.get(key);
+    if (!stored) {
+      toInsert.push(job);
+    } else if (new Date(job.account_date) > new Date(stored.account_date)) {
+      toUpdate.push({ id: stored.id, job, stored });
+    } else {
+      skipped.duplicate++;
     }
-  }
-  return null;
+  });
+
+  return { toInsert, toUpdate, skipped };
 }
 
-function extractAddress(addressBlock) {
-  if (!addressBlock) return null;
-  const region = getAddressComponent(addressBlock, 'OBLAST');
-  const city = getAddressComponent(addressBlock, 'GOROD');
-  const street = getAddressComponent(addressBlock, 'ULICA');
-  const dom = getAddressComponent(addressBlock, 'DOM');
-  return [region, city, street, dom].filter(Boolean).join(', ');
+// Pre-update rows of the given ids, stored on the batch for rollback
+function snapshotsOf(ids, beforeById) {
+  return ids.filter(id => beforeById.has(id)).map(id => ({ id, before: beforeById.get(id) }));
 }
 
-function extractPhone(phoneObj) {
-  if (!phoneObj) return null;
-  const phones = phoneObj?.TELEF_NOMER;
-  if (Array.isArray(phones)) return phones.map(p => (typeof p === 'object' ? p._ : p)).join(', ');
-  if (typeof phones === 'object' && phones._) return phones._;
-  if (typeof phones === 'string') return phones;
-  return null;
+// Refusal returned for a file that was already imported
+async function findDuplicateImport(checksum) {
+  const original = await findImportByChecksum(checksum);
+  if (!original) return null;
+
+  return {
+    success: false,
+    duplicate: true,
+    error: `Этот файл уже был импортирован (импорт #${original.id}). Чтобы загрузить его повторно, передайте force=true`,
+    duplicateOf: original
+  };
 }
 
-function extractSchedule(scheduleObj) {
-  if (!scheduleObj) return null;
+// Read-only part of importJobsFromXmlBuffer for dryRun: the duplicate file check and
+// the insert / update / skip decisions. No batch is created and no row is written.
+async function previewImportFromXmlBuffer(buffer, { rejectInvalid = false, force = false } = {}) {
+  if (!force) {
+    const duplicate = await findDuplicateImport(computeChecksum(buffer));
+    if (duplicate) return duplicate;
+  }
 
-  const scheduleComponents = [];
-  // Check for the new nested structure within GAFIK_RABOTI1 or GAFIK_RABOTI
-  const gafik = scheduleObj.GAFIK;
+  const { jobs: parsed, report } = await parseJobsFromXmlBuffer(buffer, { rejectInvalid });
+  const existing = await fetchExistingJobs(parsed);
+  const { toInsert, toUpdate, skipped } = planImport(parsed, existing);
 
-  if (gafik) {
-    if (gafik.SMENA1) {
-        scheduleComponents.push(`смена: ${gafik.SMENA1}`);
-    }
-    if (gafik.DNI_RABOTI1) {
-        scheduleComponents.push(`дни работы: ${gafik.DNI_RABOTI1}`);
-    }
-    if (gafik.VREMYARABOTY1) {
-        scheduleComponents.push(`время работы: ${gafik.VREMYARABOTY1}`);
+  return { success: true, toInsert, toUpdate, skipped, report };
+}
+
+// `fileName` and `user` are recorded on the import batch (see utils/importBatches.js).
+// A file that was already imported is refused with `duplicateOf` unless `force` is set.
+async function importJobsFromXmlBuffer(buffer, { rejectInvalid = false, fileName = null, user = null, force = false } = {}) {
+  let batch = null;
+
+  try {
+    const checksum = computeChecksum(buffer);
+
+    if (!force) {
+      const duplicate = await findDuplicateImport(checksum);
+      if (duplicate) return duplicate;
     }
-  } else if (Array.isArray(scheduleObj.GAFIK)) { // Fallback for a potential array of schedules
-      return scheduleObj.GAFIK.map(item => item._ || item).join(', ');
-  } else if (typeof scheduleObj.GAFIK === 'object' && scheduleObj.GAFIK._) { // Fallback for a simple object with '_'
-      return scheduleObj.GAFIK._;
-  } else if (typeof scheduleObj === 'string') { // Fallback for a direct string
-      return scheduleObj;
-  }
 
-  return scheduleComponents.filter(Boolean).join(', ') || null;
-}
+    const { jobs: parsed, report } = await parseJobsFromXmlBuffer(buffer, { rejectInvalid });
 
-function extractExtraInfo(field) {
-  if (!field) return null;
-  if (typeof field === 'string') return field;
-  if (typeof field === 'object' && field._) return field._;
-  return JSON.stringify(field);
-}
+    batch = await createImportBatch({ fileName, checksum, user, rowCount: report.rows });
+    const formatted = parsed.map(job => ({ ...job, batch_id: batch.id }));
 
-// This function is no longer used for conditions, responsibilities, requirements
-// but might be kept for historical reasons or if DOPINFORMS is used elsewhere for generic parsing.
-function extractDopinformsFields(field) {
-  if (!field) return { conditions: null, responsibilities: null, requirements: null };
+    if (formatted.length === 0) {
+      await finishImportBatch(batch.id, { success: true });
+      return { success: true, message: 'Нет новых вакансий', count: 0, inserted: 0, updated: 0, skipped: 0, batchId: batch.id, jobs: [], report };
+    }
 
-  const text = typeof field === 'string' ? field : typeof field === 'object' && field._ ? field._ : JSON.stringify(field);
+    const existing = await fetchExistingJobs(formatted);
+    const { toInsert, toUpdate, skipped } = planImport(formatted, existing);
+    const jobs = [];
 
-  const result = { conditions: null, responsibilities: null, requirements: null };
-  const pattern = /(?:Условия|Обязанности|Требования):/gi;
-  const parts = text.split(pattern).map(s => s.trim());
-  const markers = [...text.matchAll(pattern)].map(m => m[0].toLowerCase());
+    if (toInsert.length > 0) {
+      const { data, error } = await supabase.from('jobs').insert(toInsert).select('*');
 
-  markers.forEach((marker, idx) => {
-    const value = parts[idx + 1]?.trim();
-    if (!value) return;
-    if (marker.includes('условия')) result.conditions = value;
-    if (marker.includes('обязанности')) result.responsibilities = value;
-    if (marker.includes('требования')) result.requirements = value;
-  });
+      if (error) {
+        console.error('❌ Ошибка Supabase при вставке:', error);
+        await finishImportBatch(batch.id, { success: false, error: error.message });
+        return { success: false, error: 'Ошибка Supabase', details: error, batchId: batch.id, report };
+      }
 
-  return result;
-}
+      jobs.push(...data);
+    }
+    const insertedIds = jobs.map(job => job.id);
+
+    // Previous state of updated rows, for the audit trail and rollback
+    const beforeById = new Map();
+    for (const chunk of chunkValues(toUpdate.map(({ id }) => id))) {
+      const { data: beforeRows, error: beforeError } = await supabase.from('jobs').select('*').in('id', chunk);
+      if (beforeError) throw beforeError;
+      (beforeRows || []).forEach(row => beforeById.set(row.id, row));
+    }
 
-function cleanHtmlToText(htmlString) {
-  if (!htmlString) return null;
+    // Saved before anything is overwritten, so the batch can be rolled back even if the process dies below
+    const plannedUpdateIds = toUpdate.map(({ id }) => id).filter(id => beforeById.has(id));
+    await recordImportProgress(batch.id, {
+      insertedIds,
+      updatedIds: plannedUpdateIds,
+      updatedSnapshots: snapshotsOf(plannedUpdateIds, beforeById)
+    });
 
-  const liMatches = [...htmlString.matchAll(/<li[^>]*>(.*?)<\/li>/gi)];
-  if (liMatches.length > 0) {
-    const listItems = liMatches.map(m => m[1].trim());
-    return listItems.join(', ');
-  }
+    const changes = [];
+    const updatedIds = [];
+    for (const { id, job } of toUpdate.filter(({ id }) => beforeById.has(id))) {
+      const { data, error } = await supabase.from('jobs').update(job).eq('id', id).select('*');
+
+      if (error) {
+        console.error(`❌ Ошибка Supabase при обновлении вакансии ID ${id}:`, error);
+        // Record what was already written so the partial import can still be rolled back
+        await finishImportBatch(batch.id, {
+          success: false,
+          insertedIds,
+          updatedIds,
+          updatedSnapshots: snapshotsOf(updatedIds, beforeById),
+          error: error.message
+        });
+        return { success: false, error: 'Ошибка Supabase', details: error, batchId: batch.id, report };
+      }
 
-  let text = htmlString
-    .replace(/<br\s*\/?>/gi, ', ')
-    .replace(/<\/?[^>]+(>|$)/g, '')
-    .replace(/\s+/g, ' ')
-    .trim();
+      jobs.push(...data);
+      updatedIds.push(id);
+      if (data[0]) changes.push({ job_id: id, before: beforeById.get(id) || null, after: data[0] });
+    }
 
-  return text || null;
-}
+    await finishImportBatch(batch.id, {
+      success: true,
+      insertedIds,
+      updatedIds,
+      updatedSnapshots: snapshotsOf(updatedIds, beforeById)
+    });
 
+    // Company profiles for every INN in the file; the vacancies are already stored, so a failure is only logged
+    let companies = [];
+    try {
+      companies = await upsertCompaniesFromJobs(formatted);
+    } catch (err) {
+      console.error('⚠️ Не удалось обновить справочник компаний:', err.message);
+    }
 
-function parseDate(dateStr) {
-  if (!dateStr) return null;
-  const parts = dateStr.split('.');
-  if (parts.length !== 3) return null;
-  const [day, month, year] = parts;
-  const fullYear = year.length === 2 ? '20' + year : year;
-  return `${fullYear}-${month}-${day}`;
-}
+    const skippedCount = skipped.expired + skipped.duplicate;
+    console.log(`✅ Импорт завершён: добавлено ${toInsert.length}, обновлено ${toUpdate.length}, пропущено ${skippedCount}`);
+
+    // ✅ RETURN inserted/updated rows WITH ID
+    return {
+      success: true,
+      message: jobs.length > 0 ? 'Вакансии импортированы' : 'Нет новых вакансий',
+      count: jobs.length,
+      inserted: toInsert.length,
+      updated: toUpdate.length,
+      skipped: skippedCount,
+      skippedReasons: skipped,
+      insertedIds,
+      updatedIds,
+      batchId: batch.id,
+      companies,
+      changes,
+      jobs,
+      report
+    };
 
-function toISODate(timestamp) {
-  if (!timestamp) return null;
-  const ts = parseInt(timestamp, 10);
-  if (isNaN(ts)) return null;
-  return new Date(ts * 1000).toISOString().split('T')[0];
+  } catch (err) {
+    if (batch) await finishImportBatch(batch.id, { success: false, error: err.message });
+    return { success: false, error: 'Ошибка обработки XML', details: err, batchId: batch?.id };
+  }
 }
 
-module.exports = { importJobsFromXmlBuffer };
\ No newline at end of file
+module.exports = { importJobsFromXmlBuffer, parseJobsFromXmlBuffer, previewImportFromXmlBuffer };
\ No newline at end of file
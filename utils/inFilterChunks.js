@@ -0,0 +1,12 @@
+// utils/inFilterChunks.js
+// Values of an `in` filter travel in the request URL, which proxies cap at a
+// few KB. Long lists are queried chunk by chunk.
+const IN_FILTER_CHUNK_SIZE = 200;
+
+function chunkValues(values, size = IN_FILTER_CHUNK_SIZE) {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += size) chunks.push(values.slice(i, i + size));
+  return chunks;
+}
+
+module.exports = { chunkValues, IN_FILTER_CHUNK_SIZE };
@@ -0,0 +1,351 @@
+// utils/jobGrouping.js
+// Splits imported jobs into posts. Title grouping is agglomerative clustering
+// over normalized, stemmed titles, so the result does not depend on the order
+// of rows in the file. Every grouping comes with an explanation for review.
+const stringSimilarity = require('string-similarity');
+
+const GROUP_BY_MODES = ['none', 'title', 'account', 'company_title'];
+const DEFAULT_THRESHOLD = 0.5;
+
+// Words that say nothing about the position itself
+const STOP_WORDS = new Set([
+  'в', 'во', 'на', 'по', 'и', 'или', 'с', 'со', 'к', 'ко', 'для', 'из', 'от', 'до', 'за', 'при', 'без', 'не',
+  'требуется', 'требуются', 'срочно', 'вакансия', 'работа', 'работник', 'сотрудник',
+  'ооо', 'оао', 'зао', 'пао', 'ао', 'ип'
+]);
+
+// Longest first, so "ами" is stripped before "и"
+const ENDINGS = [
+  'иями', 'ями', 'ами', 'ого', 'его', 'ому', 'ему', 'ыми', 'ими', 'ых', 'их',
+  'ий', 'ый', 'ой', 'ая', 'яя', 'ое', 'ее', 'ые', 'ие', 'ую', 'юю',
+  'ов', 'ев', 'ей', 'ам', 'ям', 'ах', 'ях', 'ом', 'ем',
+  'а', 'я', 'о', 'е', 'ы', 'и', 'у', 'ю', 'ь', 'й'
+].sort((a, b) => b.length - a.length);
+
+const MIN_STEM_LENGTH = 3;
+// Stems this close count as the same word (typos, "продавец" / "продавц")
+const STEM_SIMILARITY = 0.75;
+
+function stem(word) {
+  for (const ending of ENDINGS) {
+    if (word.endsWith(ending) && word.length - ending.length >= MIN_STEM_LENGTH) {
+      return word.slice(0, -ending.length);
+    }
+  }
+  return word;
+}
+
+function normalizeTitle(title) {
+  const words = String(title || '')
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(/\([^)]*\)/g, ' ') // "(ца)", "(вахта)"
+    .split(/[^a-zа-я0-9]+/)
+    .filter(word => word && !STOP_WORDS.has(word));
+
+  return [...new Set(words.map(stem))];
+}
+
+function stemsMatch(a, b) {
+  return a === b || (a.length > 3 && b.length > 3 && stringSimilarity.compareTwoStrings(a, b) >= STEM_SIMILARITY);
+}
+
+// Dice coefficient over title stems, with fuzzy matching of individual stems
+function titleSimilarity(tokensA, tokensB) {
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+
+  const unused = [...tokensB];
+  let matches = 0;
+  tokensA.forEach(token => {
+    const idx = unused.findIndex(other => stemsMatch(token, other));
+    if (idx !== -1) {
+      matches++;
+      unused.splice(idx, 1);
+    }
+  });
+
+  return (2 * matches) / (tokensA.length + tokensB.length);
+}
+
+function round(score) {
+  return Math.round(score * 1000) / 1000;
+}
+
+// Title scores of the pairs in `indices` that share a stem, exactly or fuzzily, keyed
+// by pairKey(). Every other pair has no stem in common and scores 0, so it is never compared.
+function scoreCandidatePairs(indices, tokens, pairKey) {
+  const byStem = new Map();
+  indices.forEach(idx => tokens[idx].forEach(token => {
+    if (!byStem.has(token)) byStem.set(token, []);
+    byStem.get(token).push(idx);
+  }));
+
+  const scores = new Map();
+  const compare = (left, right) => left.forEach(a => right.forEach(b => {
+    if (a === b) return;
+    const key = pairKey(a, b);
+    if (!scores.has(key)) scores.set(key, titleSimilarity(tokens[a], tokens[b]));
+  }));
+
+  const stems = [...byStem.keys()];
+  stems.forEach((stemA, i) => {
+    compare(byStem.get(stemA), byStem.get(stemA));
+    for (let j = i + 1; j < stems.length; j++) {
+      if (stemsMatch(stemA, stems[j])) compare(byStem.get(stemA), byStem.get(stems[j]));
+    }
+  });
+  return scores;
+}
+
+// Jobs with the same normalized title score 1 with each other, so they start out as
+// one cluster, split by maxSize. Titles without stems score 0 with anything and stay alone.
+function seedClusters(indices, tokens, maxSize) {
+  const seeds = [];
+  const byTitle = new Map();
+  indices.forEach(idx => {
+    if (tokens[idx].length === 0) return seeds.push([idx]);
+    const key = tokens[idx].join(' ');
+    if (!byTitle.has(key)) {
+      byTitle.set(key, []);
+      seeds.push(byTitle.get(key));
+    }
+    byTitle.get(key).push(idx);
+  });
+  return seeds.flatMap(members => chunk(members, maxSize));
+}
+
+// Incrementally averaged linkages can differ from the direct mean in the last bits
+const LINKAGE_EPSILON = 1e-9;
+
+// Max-heap of candidate merges: higher linkage first, then the pair of
+// clusters holding the earliest jobs, so ties do not depend on insertion order
+function isBefore(x, y) {
+  if (Math.abs(x.value - y.value) > LINKAGE_EPSILON) return x.value > y.value;
+  if (x.firstA !== y.firstA) return x.firstA < y.firstA;
+  return x.firstB < y.firstB;
+}
+
+function heapPush(heap, item) {
+  heap.push(item);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (!isBefore(heap[i], heap[parent])) break;
+    [heap[i], heap[parent]] = [heap[parent], heap[i]];
+    i = parent;
+  }
+}
+
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let next = i;
+      if (left < heap.length && isBefore(heap[left], heap[next])) next = left;
+      if (right < heap.length && isBefore(heap[right], heap[next])) next = right;
+      if (next === i) break;
+      [heap[i], heap[next]] = [heap[next], heap[i]];
+      i = next;
+    }
+  }
+  return top;
+}
+
+// Larger groups list only this many title pairs in the explanation
+const MAX_EXPLAINED_SCORES = 50;
+
+// Cohesion and the title pair scores of one cluster. Scores are given per pair of
+// distinct titles, `pairs` says how many job pairs each one stands for.
+function explainCluster(members, tokens, score) {
+  const variants = groupByKey(members, idx => (tokens[idx].length ? tokens[idx].join(' ') : `#${idx}`));
+  const heads = [...variants.values()].map(variant => ({ idx: variant[0], count: variant.length }));
+
+  const totalPairs = (members.length * (members.length - 1)) / 2;
+  let sum = heads.reduce((acc, head) => acc + (head.count * (head.count - 1)) / 2, 0);
+  const scores = [];
+  let scoresOmitted = 0;
+  for (let i = 0; i < heads.length; i++) {
+    for (let j = i + 1; j < heads.length; j++) {
+      const value = score(heads[i].idx, heads[j].idx);
+      const pairs = heads[i].count * heads[j].count;
+      sum += value * pairs;
+      if (scores.length < MAX_EXPLAINED_SCORES) scores.push({ a: heads[i].idx, b: heads[j].idx, score: round(value), pairs });
+      else scoresOmitted++;
+    }
+  }
+
+  return { members, scores, scoresOmitted, cohesion: totalPairs ? round(sum / totalPairs) : 1 };
+}
+
+// Average-linkage clustering of `indices`. Clusters are merged best pair first
+// while their average similarity reaches `threshold` and the result fits `maxSize`.
+// Pair scores are computed once, between distinct titles only; after a merge the
+// linkage to every other cluster is the size-weighted mean of the two merged ones
+// (Lance–Williams). That mean never exceeds the larger of the two, so pairs below
+// `threshold` can be dropped for good.
+function clusterByTitle(indices, tokens, { threshold, maxSize }) {
+  const span = Math.max(-1, ...indices) + 1;
+  const pairKey = (a, b) => (a < b ? a * span + b : b * span + a);
+
+  // Cluster id (its first job) -> { members, first, links: Map<other cluster id, linkage> }, non-zero links only
+  const clusters = new Map();
+  const full = [];
+  seedClusters(indices, tokens, maxSize).forEach(members => {
+    // A full seed cannot take anything more, so it is not compared at all
+    if (maxSize && members.length >= maxSize) full.push(members);
+    else clusters.set(members[0], { members, first: members[0], links: new Map() });
+  });
+
+  const pairScores = scoreCandidatePairs([...clusters.keys()], tokens, pairKey);
+  const score = (a, b) => (a === b ? 1 : pairScores.get(pairKey(a, b)) || 0);
+  pairScores.forEach((value, key) => {
+    const a = Math.floor(key / span);
+    const b = key % span;
+    if (value > 0) {
+      clusters.get(a).links.set(b, value);
+      clusters.get(b).links.set(a, value);
+    }
+  });
+
+  const heap = [];
+  const offer = (a, b, value) => {
+    if (value < threshold) return;
+    const [x, y] = clusters.get(a).first < clusters.get(b).first ? [a, b] : [b, a];
+    heapPush(heap, { value, a: x, b: y, firstA: clusters.get(x).first, firstB: clusters.get(y).first });
+  };
+  clusters.forEach((cluster, id) => cluster.links.forEach((value, other) => { if (id < other) offer(id, other, value); }));
+
+  let nextId = span;
+  while (heap.length > 0) {
+    const { a, b } = heapPop(heap);
+    const left = clusters.get(a);
+    const right = clusters.get(b);
+    // Stale entry: one side was merged away since it was offered
+    if (!left || !right) continue;
+    // Clusters only grow, so a pair too big now stays too big
+    if (maxSize && left.members.length + right.members.length > maxSize) continue;
+
+    const size = left.members.length + right.members.length;
+    const merged = {
+      members: [...left.members, ...right.members].sort((x, y) => x - y),
+      first: Math.min(left.first, right.first),
+      links: new Map()
+    };
+    const id = nextId++;
+    clusters.delete(a);
+    clusters.delete(b);
+    clusters.set(id, merged);
+
+    new Set([...left.links.keys(), ...right.links.keys()]).forEach(other => {
+      if (other === a || other === b) return;
+      const value = (left.members.length * (left.links.get(other) || 0) + right.members.length * (right.links.get(other) || 0)) / size;
+      const neighbour = clusters.get(other);
+      neighbour.links.delete(a);
+      neighbour.links.delete(b);
+      neighbour.links.set(id, value);
+      merged.links.set(other, value);
+      offer(id, other, value);
+    });
+  }
+
+  return [...full, ...[...clusters.values()].map(cluster => cluster.members)]
+    .sort((a, b) => a[0] - b[0])
+    .map(members => explainCluster(members, tokens, score));
+}
+
+function chunk(members, size) {
+  if (!size || members.length <= size) return [members];
+  const parts = [];
+  for (let i = 0; i < members.length; i += size) parts.push(members.slice(i, i + size));
+  return parts;
+}
+
+function groupByKey(indices, keyOf) {
+  const map = new Map();
+  indices.forEach(idx => {
+    const key = keyOf(idx);
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(idx);
+  });
+  return map;
+}
+
+// Options from /upload-and-publish. The old groupByVacancyName / groupByAccountNumber
+// flags still work and map onto the new modes.
+function resolveGroupingOptions(options = {}) {
+  let groupBy = options.groupBy;
+  if (!groupBy) {
+    if (options.groupByVacancyName) groupBy = 'title';
+    else if (options.groupByAccountNumber) groupBy = 'account';
+    else groupBy = 'none';
+  }
+
+  return {
+    groupBy,
+    threshold: options.groupingThreshold ?? DEFAULT_THRESHOLD,
+    maxJobsPerPost: options.maxJobsPerPost || null
+  };
+}
+
+// Returns { groups: [[job, ...], ...], explanation }. Explanation indices point into `jobs`.
+function groupJobs(jobs, options = {}) {
+  const { groupBy, threshold, maxJobsPerPost } = resolveGroupingOptions(options);
+  const indices = jobs.map((_, idx) => idx);
+  const tokens = jobs.map(job => normalizeTitle(job.job_title));
+  let explained = [];
+
+  if (groupBy === 'title') {
+    explained = clusterByTitle(indices, tokens, { threshold, maxSize: maxJobsPerPost })
+      .map(cluster => ({ ...cluster, reason: cluster.members.length > 1 ? 'title_similarity' : 'single', key: null }));
+  } else if (groupBy === 'company_title') {
+    // Titles are only compared within one company; jobs without an INN are clustered together
+    groupByKey(indices, idx => jobs[idx].company_inn || null).forEach((members, inn) => {
+      clusterByTitle(members, tokens, { threshold, maxSize: maxJobsPerPost }).forEach(cluster => {
+        explained.push({ ...cluster, reason: cluster.members.length > 1 ? 'company_title_similarity' : 'single', key: inn });
+      });
+    });
+  } else if (groupBy === 'account') {
+    groupByKey(indices, idx => jobs[idx].account_number || null).forEach((members, accountNumber) => {
+      chunk(members, maxJobsPerPost).forEach(part => {
+        explained.push({ members: part, reason: accountNumber ? 'account_number' : 'no_account_number', key: accountNumber, scores: [], cohesion: null });
+      });
+    });
+  } else {
+    explained = indices.map(idx => ({ members: [idx], reason: 'single', key: null, scores: [], cohesion: null }));
+  }
+
+  explained.sort((a, b) => a.members[0] - b.members[0]);
+
+  return {
+    groups: explained.map(group => group.members.map(idx => jobs[idx])),
+    explanation: {
+      groupBy,
+      threshold: groupBy === 'title' || groupBy === 'company_title' ? threshold : null,
+      maxJobsPerPost,
+      groups: explained.map(group => ({
+        jobs: group.members,
+        titles: group.members.map(idx => jobs[idx].job_title),
+        normalizedTitles: group.members.map(idx => tokens[idx].join(' ')),
+        reason: group.reason,
+        key: group.key,
+        cohesion: group.cohesion,
+        scores: group.scores,
+        scoresOmitted: group.scoresOmitted || 0
+      }))
+    }
+  };
+}
+
+module.exports = {
+  groupJobs,
+  resolveGroupingOptions,
+  normalizeTitle,
+  titleSimilarity,
+  GROUP_BY_MODES,
+  DEFAULT_THRESHOLD
+};
@@ -0,0 +1,97 @@
+// utils/jobValidation.js
+// Per-row checks for imported vacancies. Issues with severity "error" can make
+// the importer reject the row (rejectInvalid), "warning" is informational only.
+const { text } = require('./jobXmlParser');
+
+const INN10_WEIGHTS = [2, 4, 10, 3, 5, 9, 4, 6, 8];
+const INN12_WEIGHTS_1 = [7, 2, 4, 10, 3, 5, 9, 4, 6, 8];
+const INN12_WEIGHTS_2 = [3, 7, 2, 4, 10, 3, 5, 9, 4, 6, 8];
+
+function innChecksum(digits, weights) {
+  const sum = weights.reduce((acc, weight, idx) => acc + weight * digits[idx], 0);
+  return (sum % 11) % 10;
+}
+
+// Russian taxpayer number: 10 digits for companies, 12 for individuals
+function isValidInn(inn) {
+  if (!/^\d{10}$|^\d{12}$/.test(inn)) return false;
+  const digits = inn.split('').map(Number);
+
+  if (digits.length === 10) {
+    return innChecksum(digits, INN10_WEIGHTS) === digits[9];
+  }
+
+  return innChecksum(digits, INN12_WEIGHTS_1) === digits[10]
+    && innChecksum(digits, INN12_WEIGHTS_2) === digits[11];
+}
+
+function validateJobEntry({ index, row, job }) {
+  const issues = [];
+  const add = (field, severity, message) => issues.push({
+    row: index,
+    account_number: job.account_number,
+    field,
+    severity,
+    message,
+  });
+
+  if (!job.job_title) {
+    add('VAKNAZV', 'error', 'Не указано название вакансии');
+  }
+
+  const rawAccountDate = text(row.SCHETDATA);
+  if (!rawAccountDate) {
+    add('SCHETDATA', 'warning', 'Не указана дата счёта');
+  } else if (!job.account_date) {
+    add('SCHETDATA', 'error', `Не удалось разобрать дату счёта "${rawAccountDate}"`);
+  }
+
+  if (!job.company_inn) {
+    add('INNKOMPAN', 'warning', 'Не указан ИНН компании');
+  } else if (!isValidInn(job.company_inn)) {
+    add('INNKOMPAN', 'error', `Некорректный ИНН "${job.company_inn}" (контрольная сумма не совпадает)`);
+  }
+
+  if (!job.phone && !job.email) {
+    add('TELEF', 'warning', 'Не указаны ни телефон, ни email');
+  }
+  (job.invalid_phones || []).forEach(phone => {
+    add('TELEF', 'warning', `Не удалось распознать номер телефона "${phone}"`);
+  });
+
+  if (job.salary && job.salary_min === null && job.salary_max === null && !job.is_negotiable) {
+    add('ZARPL', 'warning', `Не удалось разобрать зарплату "${job.salary}"`);
+  }
+
+  return issues;
+}
+
+// Validate parsed entries; returns the report plus the entries that may be imported
+function validateJobEntries(entries, { rejectInvalid = false } = {}) {
+  const issues = [];
+  const accepted = [];
+  let rejected = 0;
+
+  entries.forEach(entry => {
+    const rowIssues = validateJobEntry(entry);
+    issues.push(...rowIssues);
+
+    if (rejectInvalid && rowIssues.some(issue => issue.severity === 'error')) {
+      rejected++;
+      return;
+    }
+    accepted.push(entry);
+  });
+
+  const report = {
+    rows: entries.length,
+    errors: issues.filter(issue => issue.severity === 'error').length,
+    warnings: issues.filter(issue => issue.severity === 'warning').length,
+    rejected,
+    issues,
+  };
+
+  return { report, accepted };
+}
+
+module.exports = { validateJobEntries, validateJobEntry, isValidInn };
@@ -0,0 +1,367 @@
+// utils/jobXmlParser.js
+// Single parser for the DECLARBODY/ROW vacancy feed. It covers every schema
+// variant we have received so far and returns normalized `jobs` rows.
+// It never talks to Supabase, so it is safe for previews.
+const xml2js = require('xml2js');
+const iconv = require('iconv-lite');
+const { parseSalary } = require('./salaryParser');
+const { toPhoneFields } = require('./phoneNumbers');
+
+const DEFAULT_ENCODING = 'windows-1251';
+
+// Schedule kinds for filtering, recognised in the schedule text
+const SCHEDULE_TYPE_PATTERNS = {
+  full_week: /5\/2|пн\s*-\s*пт|пятидневк|полный день/i,
+  shift: /2\/2|1\/3|3\/3|сменн|смена|сутки через/i,
+  rotation: /вахт/i,
+  flexible: /гибк|свободн/i,
+  part_time: /неполн|частичн|подработ/i,
+  night: /ночн/i,
+};
+const SCHEDULE_TYPES = Object.keys(SCHEDULE_TYPE_PATTERNS);
+
+const TIME_RANGE_REGEX = /^(0?\d|1\d|2[0-3]):([0-5]\d)\s*-\s*(0?\d|1\d|2[0-3]):([0-5]\d)$/;
+
+// Honour the encoding from the XML declaration, the feed is windows-1251 by default
+function decodeXmlBuffer(buffer) {
+  const head = buffer.slice(0, 200).toString('latin1');
+  const match = head.match(/encoding=["']([\w-]+)["']/i);
+  const encoding = match && iconv.encodingExists(match[1]) ? match[1] : DEFAULT_ENCODING;
+  return iconv.decode(buffer, encoding);
+}
+
+async function parseJobsXml(buffer) {
+  const entries = await parseJobEntries(buffer);
+  return entries.map(entry => entry.job);
+}
+
+// Like parseJobsXml, but keeps the raw ROW and its 1-based position in the file
+// next to each job, for validation reports
+async function parseJobEntries(buffer) {
+  const xmlContent = Buffer.isBuffer(buffer) ? decodeXmlBuffer(buffer) : String(buffer);
+  const parser = new xml2js.Parser({ explicitArray: false });
+  const parsed = await parser.parseStringPromise(xmlContent);
+
+  // An empty feed, <DECLARBODY/>, parses to an empty string
+  if (!parsed || parsed.DECLARBODY === undefined) {
+    throw new Error('Неверная структура XML: отсутствует корневой тег <DECLARBODY>');
+  }
+
+  return getJobRows(parsed).map(({ row, index }) => ({ index, row, job: parseJobRow(row) }));
+}
+
+function getJobRows(parsed) {
+  const allRows = parsed?.DECLARBODY?.ROW || [];
+  const rows = Array.isArray(allRows) ? allRows : [allRows];
+  return rows
+    .map((row, idx) => ({ row, index: idx + 1 }))
+    .filter(({ row }) => row && (row.SCHETNOMER || row.VAKNAZV));
+}
+
+function parseJobRow(row) {
+  const sections = extractDopinformsSections(row);
+  const salary = text(row.ZARPL);
+  const schedule = extractSchedules(row);
+
+  return {
+    job_title: text(row.VAKNAZV),
+    publication_date: parseFeedDate(text(row.PUBLON)),
+    depub_date: parseFeedDate(text(row.PUBLOFF)),
+    account_number: text(row.SCHETNOMER),
+    account_date: parseFeedDate(text(row.SCHETDATA)),
+    company_inn: text(row.INNKOMPAN),
+    company_name: text(row.NAZVKOMPAN),
+    ...extractPhone(row.TELEF),
+    email: text(row.ELPOCHTA),
+    address: extractAddresses(row),
+    locations: extractLocations(row),
+    conditions: sections.conditions,
+    responsibilities: sections.responsibilities,
+    requirements: sections.requirements,
+    schedule,
+    schedule_types: classifySchedule(schedule),
+    salary,
+    ...parseSalary(salary),
+    contact_person: text(row.KOGOSPROSITJ),
+    rubr_atryb: text(row.RUBR_ATRYB),
+    extra_info: cleanHtmlToText(text(row.VAKOPISANIYE)) || sections.rest,
+  };
+}
+
+// Text content of a node parsed with explicitArray: false (plain string or { _: '...' })
+function text(value) {
+  if (value === undefined || value === null) return null;
+  if (Array.isArray(value)) return value.map(text).filter(Boolean).join(', ') || null;
+  if (typeof value === 'object') return value._ !== undefined ? text(value._) : null;
+  const trimmed = String(value).trim();
+  return trimmed || null;
+}
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Tags that come both plain and numbered (ADRESSORABOTI, ADRESSORABOTI1, ...), in numeric order
+function numberedBlocks(row, tagName) {
+  return Object.keys(row)
+    .filter(key => new RegExp(`^${tagName}\\d*$`).test(key))
+    .sort((a, b) => (Number(a.slice(tagName.length)) || 0) - (Number(b.slice(tagName.length)) || 0))
+    .flatMap(key => asArray(row[key]));
+}
+
+// Address parts are prefixed with the block name (ADRESSORABOTI3-GOROD), match on the suffix
+function getAddressComponent(addressBlock, componentName) {
+  if (!addressBlock || typeof addressBlock !== 'object') return null;
+  const suffix = `-${componentName.toUpperCase()}`;
+  for (const key in addressBlock) {
+    if (key.endsWith(suffix) && !key.slice(0, -suffix.length).includes('-')) {
+      return text(addressBlock[key]);
+    }
+  }
+  return null;
+}
+
+const LOCATION_FIELDS = ['region', 'district', 'settlement_type', 'settlement', 'city', 'street', 'house'];
+
+// One work location as a structured record. Plain-text blocks only have `raw`;
+// utils/gazetteer.js adds normalized names and coordinates later.
+function extractLocation(addressBlock) {
+  if (!addressBlock) return null;
+  if (typeof addressBlock === 'string' || addressBlock._ !== undefined) {
+    const raw = text(addressBlock);
+    return raw ? { raw } : null;
+  }
+
+  const location = {
+    region: getAddressComponent(addressBlock, 'OBLAST'),
+    district: getAddressComponent(addressBlock, 'OBLAST-RAION'),
+    settlement_type: getAddressComponent(addressBlock, 'OBLAST-TIPDERVNY'),
+    settlement: getAddressComponent(addressBlock, 'GOROD-DERVNY'),
+    city: getAddressComponent(addressBlock, 'GOROD'),
+    street: getAddressComponent(addressBlock, 'ULICA'),
+    house: getAddressComponent(addressBlock, 'DOM'),
+  };
+
+  return LOCATION_FIELDS.some(field => location[field]) ? location : null;
+}
+
+// Display text of a location: "Нижегородская обл., Кстовский район, село, Федяково"
+function formatLocation(location) {
+  if (!location) return null;
+  if (location.raw) return location.raw;
+
+  return [
+    location.region,
+    location.district ? `${location.district} район` : null,
+    location.settlement_type,
+    location.settlement,
+    location.city,
+    location.street,
+    location.house,
+  ].filter(Boolean).join(', ') || null;
+}
+
+function extractAddress(addressBlock) {
+  return formatLocation(extractLocation(addressBlock));
+}
+
+// Distinct work locations of a row, in block order
+function extractLocations(row) {
+  const seen = new Set();
+  return numberedBlocks(row, 'ADRESSORABOTI')
+    .map(extractLocation)
+    .filter(location => {
+      const key = formatLocation(location);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+function extractAddresses(row) {
+  return extractLocations(row).map(formatLocation).join('; ') || null;
+}
+
+// TELEF is a TELEF_NOMER list or plain text; numbers go through utils/phoneNumbers.js
+function extractPhone(phoneObj) {
+  const raw = phoneObj && typeof phoneObj === 'object' && !Array.isArray(phoneObj) && phoneObj.TELEF_NOMER !== undefined
+    ? phoneObj.TELEF_NOMER
+    : phoneObj;
+
+  return toPhoneFields(asArray(raw).map(text).filter(Boolean));
+}
+
+// GAFIK entries are either structured (SMENA1 / DNI_RABOTI1 / VREMYARABOTY1)
+// or a flat list of "5/2" day patterns followed by "09:00-18:00" time ranges
+function extractSchedule(scheduleBlock) {
+  if (!scheduleBlock) return null;
+  if (typeof scheduleBlock === 'string') return text(scheduleBlock);
+
+  const entries = asArray(scheduleBlock.GAFIK !== undefined ? scheduleBlock.GAFIK : scheduleBlock);
+  const schedules = [];
+  const looseTexts = [];
+  let currentDays = null;
+
+  entries.forEach(entry => {
+    if (entry && typeof entry === 'object' && entry._ === undefined) {
+      const structured = formatStructuredSchedule(entry);
+      if (structured) schedules.push(structured);
+      return;
+    }
+
+    const content = text(entry);
+    if (!content) return;
+
+    if (content.includes('/')) {
+      currentDays = content;
+    } else if (TIME_RANGE_REGEX.test(content) && currentDays) {
+      schedules.push(`дни работы: ${currentDays}, время работы: ${content}`);
+      currentDays = null;
+    } else {
+      looseTexts.push(content);
+    }
+  });
+
+  if (currentDays) schedules.push(`дни работы: ${currentDays}`);
+  schedules.push(...looseTexts);
+
+  return schedules.join('; ') || null;
+}
+
+function formatStructuredSchedule(entry) {
+  const pick = prefix => {
+    const key = Object.keys(entry).find(k => new RegExp(`^${prefix}\\d*$`).test(k));
+    return key ? text(entry[key]) : null;
+  };
+
+  const shift = pick('SMENA');
+  const days = pick('DNI_RABOTI');
+  const time = pick('VREMYARABOTY');
+
+  return [
+    shift && `смена: ${shift}`,
+    days && `дни работы: ${days}`,
+    time && `время работы: ${time}`,
+  ].filter(Boolean).join(', ') || null;
+}
+
+function classifySchedule(schedule) {
+  if (!schedule) return [];
+  return SCHEDULE_TYPES.filter(type => SCHEDULE_TYPE_PATTERNS[type].test(schedule));
+}
+
+function extractSchedules(row) {
+  const schedules = numberedBlocks(row, 'GAFIK_RABOTI').map(extractSchedule).filter(Boolean);
+  return [...new Set(schedules)].join('; ') || null;
+}
+
+// Conditions / responsibilities / requirements come as separate tags
+// (DOPINFORMS_USLOVIY or DOPINFORMSUSLOVIY) or as one DOPINFORMS text with headings
+function extractDopinformsSections(row) {
+  const result = {
+    conditions: cleanHtmlToText(text(row.DOPINFORMS_USLOVIY ?? row.DOPINFORMSUSLOVIY)),
+    responsibilities: cleanHtmlToText(text(row.DOPINFORMS_OBYZANOSTI ?? row.DOPINFORMSOBYZANOSTI)),
+    requirements: cleanHtmlToText(text(row.DOPINFORMS_TREBOVANIY ?? row.DOPINFORMSTREBOVANIY)),
+    rest: null,
+  };
+
+  const dopinforms = text(row.DOPINFORMS);
+  if (!dopinforms) return result;
+
+  const pattern = /(Условия|Обязанности|Требования)\s*:/gi;
+  const markers = [...dopinforms.matchAll(pattern)];
+
+  if (markers.length === 0) {
+    result.rest = cleanHtmlToText(dopinforms);
+    return result;
+  }
+
+  const preamble = dopinforms.slice(0, markers[0].index);
+  result.rest = cleanHtmlToText(preamble);
+
+  markers.forEach((marker, idx) => {
+    const end = idx + 1 < markers.length ? markers[idx + 1].index : dopinforms.length;
+    const value = cleanHtmlToText(dopinforms.slice(marker.index + marker[0].length, end));
+    const heading = marker[1].toLowerCase();
+
+    if (heading === 'условия') result.conditions = result.conditions || value;
+    if (heading === 'обязанности') result.responsibilities = result.responsibilities || value;
+    if (heading === 'требования') result.requirements = result.requirements || value;
+  });
+
+  return result;
+}
+
+function decodeEntities(str) {
+  return str
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&quot;/gi, '"')
+    .replace(/&laquo;/gi, '«')
+    .replace(/&raquo;/gi, '»')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/gi, '&');
+}
+
+function cleanHtmlToText(htmlString) {
+  if (!htmlString) return null;
+
+  const stripTags = str => decodeEntities(str.replace(/<\/?[^>]+(>|$)/g, ' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const liMatches = [...htmlString.matchAll(/<li[^>]*>([\s\S]*?)<\/li>/gi)];
+  if (liMatches.length > 0) {
+    const listItems = liMatches.map(m => stripTags(m[1]).replace(/[;,.]$/, '')).filter(Boolean);
+    return listItems.join(', ') || null;
+  }
+
+  const textValue = stripTags(htmlString.replace(/<br\s*\/?>/gi, ', '))
+    .replace(/\s+,/g, ',')
+    .replace(/(,\s*)+/g, ', ')
+    .replace(/^,\s*|,\s*$/g, '');
+
+  return textValue || null;
+}
+
+// SCHETDATA comes as dd.mm.yy(yy); PUBLON/PUBLOFF as unix seconds or a date string
+function parseFeedDate(value) {
+  if (!value) return null;
+
+  if (/^\d+$/.test(value)) {
+    const ts = parseInt(value, 10);
+    const ms = ts > 1e11 ? ts : ts * 1000;
+    return new Date(ms).toISOString().split('T')[0];
+  }
+
+  const dotted = value.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4}|\d{2})(?!\d)/);
+  if (dotted) {
+    const [, day, month, year] = dotted;
+    const fullYear = year.length === 2 ? `20${year}` : year;
+    const iso = `${fullYear}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    const date = new Date(iso);
+    return !isNaN(date) && date.getUTCDate() === Number(day) ? iso : null;
+  }
+
+  const parsed = new Date(value);
+  return isNaN(parsed) ? null : parsed.toISOString().split('T')[0];
+}
+
+module.exports = {
+  parseJobsXml,
+  parseJobEntries,
+  parseJobRow,
+  extractAddress,
+  extractLocation,
+  extractLocations,
+  formatLocation,
+  extractSchedule,
+  classifySchedule,
+  SCHEDULE_TYPES,
+  extractPhone,
+  cleanHtmlToText,
+  parseFeedDate,
+  text,
+};
@@ -0,0 +1,115 @@
+// utils/phoneNumbers.js
+// Phone numbers from the feed and from edits, normalized to E.164 (+7XXXXXXXXXX).
+// Jobs keep the valid numbers in `phones`, the unparseable ones in `invalid_phones`,
+// and posts show them in PHONE_DISPLAY_FORMAT (or the `phoneFormat` publish option).
+require('dotenv').config();
+
+const PHONE_FORMATS = ['national', 'international', 'e164'];
+const DEFAULT_DISPLAY_FORMAT = PHONE_FORMATS.includes(process.env.PHONE_DISPLAY_FORMAT)
+  ? process.env.PHONE_DISPLAY_FORMAT
+  : 'national';
+
+// 7-digit numbers in the feed are local to this area code (Nizhny Novgorod)
+const DEFAULT_AREA_CODE = process.env.PHONE_DEFAULT_AREA_CODE || '831';
+
+// Districts of the region dialled as 831XX with 5-digit local numbers
+const DISTRICT_CODES = [
+  '30', '36', '38', '39', '40', '43', '44', '45', '47', '48', '49', '50', '51', '52', '53', '54',
+  '55', '56', '57', '58', '59', '60', '61', '62', '63', '64', '65', '66', '67', '68', '69', '70',
+  '71', '72', '73', '74', '75', '76', '77', '78', '79', '90', '91', '92', '93', '94', '95', '96'
+];
+
+// Russian national numbers start with 3, 4, 8 (landline / toll-free) or 9 (mobile)
+const NATIONAL_NUMBER_REGEX = /^[3489]\d{9}$/;
+
+// One field may hold several numbers: "8 920 111-22-33, 412-34-56 или 8(831)222-33-44"
+const SEPARATOR_REGEX = /\s*(?:[,;\n/]|\sили\s)\s*/i;
+
+// Returns { raw, e164 } with e164 null when the number cannot be normalized
+function normalizePhone(raw) {
+  const value = String(raw).trim();
+  // Extensions ("доб. 123") are not part of the number
+  const digits = value.replace(/(доб|доп|ext)\.?.*$/i, '').replace(/\D/g, '');
+
+  let national = null;
+  if (digits.length === 11 && (digits[0] === '7' || digits[0] === '8')) national = digits.slice(1);
+  else if (digits.length === 10) national = digits;
+  else if (digits.length === 7) national = `${DEFAULT_AREA_CODE}${digits}`;
+
+  return { raw: value, e164: national && NATIONAL_NUMBER_REGEX.test(national) ? `+7${national}` : null };
+}
+
+// Every number in `value` (string, number or array of them), de-duplicated
+function parsePhoneNumbers(value) {
+  const list = Array.isArray(value) ? value : [value];
+  const seen = new Set();
+
+  return list
+    .filter(item => item !== undefined && item !== null)
+    .flatMap(item => String(item).split(SEPARATOR_REGEX))
+    .map(part => part.trim())
+    .filter(part => /\d/.test(part))
+    .map(normalizePhone)
+    .filter(({ raw, e164 }) => {
+      const key = e164 || raw;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+// Job columns for the numbers in `value`
+function toPhoneFields(value) {
+  const parsed = parsePhoneNumbers(value);
+  const phones = parsed.filter(p => p.e164).map(p => p.e164);
+  const invalidPhones = parsed.filter(p => !p.e164).map(p => p.raw);
+
+  return {
+    phones,
+    invalid_phones: invalidPhones,
+    // Plain-text column kept for exports and older clients
+    phone: [...phones.map(p => formatPhone(p)), ...invalidPhones].join(', ') || null
+  };
+}
+
+function groupDigits(local) {
+  if (local.length === 7) return `${local.slice(0, 3)}-${local.slice(3, 5)}-${local.slice(5)}`;
+  if (local.length === 5) return `${local.slice(0, 1)}-${local.slice(1, 3)}-${local.slice(3)}`;
+  return local;
+}
+
+// Area code and subscriber number of a +7 number
+function splitNational(national) {
+  const districtCode = national.slice(3, 5);
+  if (national.startsWith('831') && DISTRICT_CODES.includes(districtCode)) {
+    return { area: national.slice(0, 5), local: national.slice(5) };
+  }
+  return { area: national.slice(0, 3), local: national.slice(3) };
+}
+
+// "8 (831) 412-34-56", "+7 831 412-34-56" or "+78314123456"
+function formatPhone(e164, format = DEFAULT_DISPLAY_FORMAT) {
+  if (!e164 || !e164.startsWith('+7') || format === 'e164') return e164;
+
+  const { area, local } = splitNational(e164.slice(2));
+  return format === 'international'
+    ? `+7 ${area} ${groupDigits(local)}`
+    : `8 (${area}) ${groupDigits(local)}`;
+}
+
+// Display numbers of a job; rows imported before `phones` existed fall back to `phone`
+function formatJobPhones(job, format = DEFAULT_DISPLAY_FORMAT) {
+  if (Array.isArray(job.phones) && job.phones.length > 0) {
+    return job.phones.map(phone => formatPhone(phone, format));
+  }
+  return job.phone ? [job.phone] : [];
+}
+
+module.exports = {
+  PHONE_FORMATS,
+  parsePhoneNumbers,
+  normalizePhone,
+  toPhoneFields,
+  formatPhone,
+  formatJobPhones
+};
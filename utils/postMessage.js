@@ -0,0 +1,74 @@
+// utils/postMessage.js
+const { getComparableSalary } = require('./salaryParser');
+const { renderPostTemplate, companyDisplayName } = require('./postTemplates');
+const { formatJobPhones } = require('./phoneNumbers');
+
+// `options.templateBody` (a stored post template) replaces the built-in layout below
+function createPostMessage(jobsGroup, options) {
+  if (options.templateBody) {
+    return renderPostTemplate(options.templateBody, jobsGroup, options);
+  }
+
+  const {
+    salaryThreshold,
+    includeConditions,
+    includeResponsibilities,
+    includeRequirements,
+    hideAddress,
+    hideEmail,
+    phoneFormat
+  } = options;
+
+  let message = '';
+
+  jobsGroup.forEach((job, idx) => {
+    const salaryNum = getComparableSalary(job);
+
+    const salaryText = (salaryNum && salaryNum < salaryThreshold)
+      ? 'По договоренности'
+      : job.salary || '—';
+
+    const companyName = companyDisplayName(job, options);
+    const companyText = companyName ? `Компания: ${companyName}` : '';
+
+    const contactsArr = [];
+    contactsArr.push(...formatJobPhones(job, phoneFormat));
+    if (!hideEmail && job.email) contactsArr.push(job.email);
+    const contactsText = contactsArr.length ? `Контакты: ${contactsArr.join(', ')}` : 'Контакты: —';
+
+    const addressText = hideAddress ? '' : (job.address ? `Адрес: ${job.address}` : '');
+
+    message += `📌 Вакансия ${jobsGroup.length > 1 ? `${idx + 1}` : ''}: ${job.job_title || 'Вакансия'}\n`;
+
+    if (companyText) message += `${companyText}\n`;
+    message += `Зарплата: ${salaryText}\n`;
+
+    if (job.schedule) message += `График: ${job.schedule}\n`;
+
+    message += `${contactsText}\n`;
+
+    if (includeResponsibilities && job.responsibilities) {
+      message += `Обязанности: ${job.responsibilities}\n`;
+    }
+
+    if (includeConditions && job.conditions) {
+      message += `Условия: ${job.conditions}\n`;
+    }
+
+    if (includeRequirements && job.requirements) {
+      message += `Требования: ${job.requirements}\n`;
+    }
+
+    if (addressText) message += `${addressText}\n`;
+
+    if (idx < jobsGroup.length - 1) {
+      message += '\n---\n\n';
+    }
+  });
+
+  message += '\n#работа #вакансия';
+
+  return message;
+}
+
+module.exports = { createPostMessage };
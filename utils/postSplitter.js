@@ -0,0 +1,102 @@
+// utils/postSplitter.js
+// Keeps rendered posts under the channel's message length limit. A group that
+// does not fit is split into several posts; a single job that still does not
+// fit has its longest text fields shortened.
+const { createPostMessage } = require('./postMessage');
+
+// Fields that may be cut, longest first at each step
+const TRUNCATABLE_FIELDS = ['responsibilities', 'requirements', 'conditions', 'extra_info', 'schedule', 'address'];
+const MIN_FIELD_LENGTH = 50;
+const ELLIPSIS = '…';
+
+function truncateText(value, length) {
+  if (value.length <= length) return value;
+  return `${value.slice(0, Math.max(0, length - ELLIPSIS.length)).trimEnd()}${ELLIPSIS}`;
+}
+
+// Render `jobs` as one post, shortening fields until it fits `maxLength`.
+// Returns { message, truncated: [{ jobIndex, fields }] } with indices into `jobs`.
+function fitJobsIntoMessage(jobs, options, maxLength) {
+  let message = createPostMessage(jobs, options);
+  if (message.length <= maxLength) return { message, truncated: [] };
+
+  const copies = jobs.map(job => ({ ...job }));
+  const truncated = new Map();
+  const exhausted = new Set();
+
+  while (message.length > maxLength) {
+    let target = null;
+    copies.forEach((job, jobIndex) => {
+      TRUNCATABLE_FIELDS.forEach(field => {
+        const value = job[field];
+        if (typeof value !== 'string' || value.length <= MIN_FIELD_LENGTH || exhausted.has(`${jobIndex}.${field}`)) return;
+        if (!target || value.length > target.length) target = { jobIndex, field, length: value.length };
+      });
+    });
+    if (!target) break;
+
+    const overflow = message.length - maxLength;
+    const job = copies[target.jobIndex];
+    job[target.field] = truncateText(job[target.field], Math.max(MIN_FIELD_LENGTH, target.length - overflow));
+
+    const shorter = createPostMessage(copies, options);
+    // The field is not part of the rendered text (e.g. includeConditions is off)
+    if (shorter.length >= message.length) exhausted.add(`${target.jobIndex}.${target.field}`);
+    else {
+      if (!truncated.has(target.jobIndex)) truncated.set(target.jobIndex, new Set());
+      truncated.get(target.jobIndex).add(target.field);
+    }
+    message = shorter;
+  }
+
+  // Nothing left to shorten (huge template or title): cut the text itself
+  if (message.length > maxLength) message = truncateText(message, maxLength);
+
+  return {
+    message,
+    truncated: [...truncated.entries()].map(([jobIndex, fields]) => ({ jobIndex, fields: [...fields] }))
+  };
+}
+
+// Consecutive runs of jobs whose combined post fits `maxLength`
+function splitGroup(group, options, maxLength) {
+  if (createPostMessage(group, options).length <= maxLength) return [group];
+
+  const parts = [];
+  let current = [];
+  group.forEach(job => {
+    const candidate = [...current, job];
+    if (current.length === 0 || createPostMessage(candidate, options).length <= maxLength) {
+      current = candidate;
+    } else {
+      parts.push(current);
+      current = [job];
+    }
+  });
+  if (current.length > 0) parts.push(current);
+
+  return parts;
+}
+
+// Turn job groups into posts. Each post is
+// { jobs, message, group, part, parts, truncated: [{ job, fields }] }, `group` being
+// the index in `groups` and `part` the 1-based position among the posts it was split into.
+function buildPosts(groups, options, maxLength) {
+  return groups.flatMap((group, groupIndex) => {
+    const parts = splitGroup(group, options, maxLength);
+
+    return parts.map((jobs, partIndex) => {
+      const { message, truncated } = fitJobsIntoMessage(jobs, options, maxLength);
+      return {
+        jobs,
+        message,
+        group: groupIndex,
+        part: partIndex + 1,
+        parts: parts.length,
+        truncated: truncated.map(({ jobIndex, fields }) => ({ job: jobs[jobIndex], fields }))
+      };
+    });
+  });
+}
+
+module.exports = { buildPosts, fitJobsIntoMessage, truncateText };
@@ -0,0 +1,111 @@
+// utils/postTemplates.js
+// Post templates stored in the `post_templates` table, written in Handlebars.
+// Templates only see the prepared context below: no code runs, prototype
+// access is blocked by Handlebars and output is plain text (no HTML escaping).
+const Handlebars = require('handlebars');
+const { createClient } = require('@supabase/supabase-js');
+const { getComparableSalary } = require('./salaryParser');
+const { formatJobPhones } = require('./phoneNumbers');
+require('dotenv').config();
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+const MAX_TEMPLATE_LENGTH = 10000;
+
+const handlebars = Handlebars.create();
+handlebars.registerHelper('eq', (a, b) => a === b);
+handlebars.registerHelper('join', (list, separator) =>
+  (Array.isArray(list) ? list.filter(Boolean).join(typeof separator === 'string' ? separator : ', ') : ''));
+
+// Compiled templates by body, least recently used first. Preview and validate
+// calls bring arbitrary bodies, so the cache is kept small.
+const MAX_COMPILED_TEMPLATES = 50;
+const compiledCache = new Map();
+
+function compileTemplate(body) {
+  let compiled = compiledCache.get(body);
+  if (compiled) {
+    compiledCache.delete(body);
+  } else {
+    compiled = handlebars.compile(body, { noEscape: true, strict: false });
+    if (compiledCache.size >= MAX_COMPILED_TEMPLATES) {
+      compiledCache.delete(compiledCache.keys().next().value);
+    }
+  }
+  compiledCache.set(body, compiled);
+  return compiled;
+}
+
+// Company shown in a post: the profile's display name over the feed name.
+// hideCompanyName from the request wins; when it is not set the company's own default applies.
+function companyDisplayName(job, options = {}) {
+  const hide = options.hideCompanyName ?? Boolean(job.company_profile?.hide_name_in_posts);
+  if (hide) return null;
+  return job.company_profile?.display_name || job.company_name || '—';
+}
+
+// Fields of one job as a post shows them, with the post options already applied
+function buildJobView(job, idx, options = {}) {
+  const salaryNum = getComparableSalary(job);
+  const phones = formatJobPhones(job, options.phoneFormat);
+  const contacts = [...phones, options.hideEmail ? null : job.email].filter(Boolean);
+
+  return {
+    ...job,
+    number: idx + 1,
+    phones,
+    title: job.job_title || 'Вакансия',
+    salary_text: (salaryNum && salaryNum < options.salaryThreshold) ? 'По договоренности' : job.salary || '—',
+    company: companyDisplayName(job, options),
+    contacts,
+    contacts_text: contacts.length ? contacts.join(', ') : '—',
+    address: options.hideAddress ? null : job.address || null,
+    responsibilities: options.includeResponsibilities ? job.responsibilities || null : null,
+    conditions: options.includeConditions ? job.conditions || null : null,
+    requirements: options.includeRequirements ? job.requirements || null : null
+  };
+}
+
+// Context available to templates:
+//   jobs[]   – job fields plus number, title, salary_text, company, phones, contacts(_text)
+//   count    – number of jobs in the post
+//   isGroup  – true when the post covers several jobs
+function buildTemplateContext(jobsGroup, options = {}) {
+  return {
+    jobs: jobsGroup.map((job, idx) => buildJobView(job, idx, options)),
+    count: jobsGroup.length,
+    isGroup: jobsGroup.length > 1
+  };
+}
+
+function renderPostTemplate(body, jobsGroup, options = {}) {
+  return compileTemplate(body)(buildTemplateContext(jobsGroup, options)).trim();
+}
+
+// Returns an error message, or null when the template compiles and renders
+function validateTemplateBody(body) {
+  if (typeof body !== 'string' || !body.trim()) return 'Текст шаблона не может быть пустым';
+  if (body.length > MAX_TEMPLATE_LENGTH) return `Шаблон длиннее ${MAX_TEMPLATE_LENGTH} символов`;
+
+  try {
+    renderPostTemplate(body, [{ job_title: 'Проверка' }], {});
+    return null;
+  } catch (err) {
+    return `Ошибка в шаблоне: ${err.message}`;
+  }
+}
+
+async function getPostTemplate(id) {
+  const { data, error } = await supabase.from('post_templates').select('*').eq('id', id).maybeSingle();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+module.exports = {
+  renderPostTemplate,
+  companyDisplayName,
+  buildJobView,
+  buildTemplateContext,
+  validateTemplateBody,
+  getPostTemplate
+};
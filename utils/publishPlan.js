@@ -0,0 +1,180 @@
+// utils/publishPlan.js
+// Publish options and post planning shared by /upload-and-publish and
+// /vacancies/publish: parse the request, group the jobs, split the groups
+// into posts that fit the channels and give every post its publish time.
+const { parseChannels, getMaxMessageLength } = require('./publishers');
+const { getPostTemplate } = require('./postTemplates');
+const { groupJobs, GROUP_BY_MODES } = require('./jobGrouping');
+const { buildPosts } = require('./postSplitter');
+const { getVkCredentials } = require('./vkCredentials');
+const { PHONE_FORMATS } = require('./phoneNumbers');
+const { attachCompanyProfiles } = require('./companies');
+
+// Multipart fields arrive as strings, JSON bodies as booleans
+function isTrue(value) {
+  return value === true || value === 'true';
+}
+
+// true / false, or null when the field is absent
+function optionalBoolean(value) {
+  return value === undefined || value === null || value === '' ? null : isTrue(value);
+}
+
+// A vacancy counts as published when it already has a post in one of the channels
+function isPublishedTo(job, channels) {
+  return channels.some(channel => (channel === 'vk' && job.vk_link) || job.channel_links?.[channel]);
+}
+
+// Returns { options } or { error } with a message for a 400 response
+async function parsePublishOptions(body = {}) {
+  const {
+    groupBy,
+    groupingThreshold,
+    maxJobsPerPost,
+    salaryThreshold,
+    publishAt,
+    publishIntervalMinutes,
+    channels,
+    templateId,
+    targetGroupId,
+    phoneFormat
+  } = body;
+
+  const options = {
+    groupByVacancyName: isTrue(body.groupByVacancyName),
+    groupByAccountNumber: isTrue(body.groupByAccountNumber),
+    groupBy: groupBy || null,
+    groupingThreshold: groupingThreshold !== undefined && groupingThreshold !== '' ? Number(groupingThreshold) : undefined,
+    maxJobsPerPost: maxJobsPerPost ? Number(maxJobsPerPost) : null,
+    // null leaves it to each company's hide_name_in_posts
+    hideCompanyName: optionalBoolean(body.hideCompanyName),
+    salaryThreshold: Number(salaryThreshold) || 0,
+    includeConditions: isTrue(body.includeConditions),
+    includeResponsibilities: isTrue(body.includeResponsibilities),
+    includeRequirements: isTrue(body.includeRequirements),
+    hideAddress: isTrue(body.hideAddress),
+    hideEmail: isTrue(body.hideEmail),
+    dryRun: isTrue(body.dryRun),
+    publishAt: publishAt ? new Date(publishAt) : null,
+    publishIntervalMinutes: Number(publishIntervalMinutes) || 0,
+    rejectInvalid: isTrue(body.rejectInvalid)
+  };
+
+  // Display format of phone numbers in the post text, PHONE_DISPLAY_FORMAT when omitted
+  if (phoneFormat) {
+    if (!PHONE_FORMATS.includes(phoneFormat)) {
+      return { error: `phoneFormat должен быть одним из: ${PHONE_FORMATS.join(', ')}` };
+    }
+    options.phoneFormat = phoneFormat;
+  }
+
+  try {
+    options.channels = parseChannels(channels);
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  // The template body is stored with the publish options, so later re-renders
+  // (VK post edits) keep the layout even if the template changes afterwards
+  if (templateId) {
+    const template = /^\d+$/.test(String(templateId)) ? await getPostTemplate(templateId) : null;
+    if (!template) return { error: `Шаблон ${templateId} не найден` };
+    options.templateId = template.id;
+    options.templateBody = template.body;
+  }
+
+  // VK community to post to; the default community when omitted
+  if (targetGroupId !== undefined && targetGroupId !== null && targetGroupId !== '') {
+    if (!/^\d+$/.test(String(targetGroupId))) return { error: 'targetGroupId должен быть положительным целым числом' };
+    options.targetGroupId = Number(targetGroupId);
+
+    if (options.channels.includes('vk')) {
+      try {
+        await getVkCredentials({ groupId: options.targetGroupId });
+      } catch (err) {
+        return { error: err.message.replace(/^❌\s*/, '') };
+      }
+    }
+  }
+
+  if (options.publishAt && (isNaN(options.publishAt) || options.publishAt.getTime() <= Date.now())) {
+    return { error: 'publishAt должен быть корректной датой в будущем' };
+  }
+  if (options.groupBy && !GROUP_BY_MODES.includes(options.groupBy)) {
+    return { error: `groupBy должен быть одним из: ${GROUP_BY_MODES.join(', ')}` };
+  }
+  if (options.groupingThreshold !== undefined && !(options.groupingThreshold >= 0 && options.groupingThreshold <= 1)) {
+    return { error: 'groupingThreshold должен быть числом от 0 до 1' };
+  }
+  if (options.maxJobsPerPost !== null && (!Number.isInteger(options.maxJobsPerPost) || options.maxJobsPerPost < 1)) {
+    return { error: 'maxJobsPerPost должен быть положительным целым числом' };
+  }
+  if (options.publishIntervalMinutes < 0) {
+    return { error: 'publishIntervalMinutes не может быть отрицательным' };
+  }
+
+  return { options };
+}
+
+// Publish time for each post: all at `publishAt`, or spread `publishIntervalMinutes` apart.
+// null means "post right away". Times without an offset use the server's timezone.
+function computePublishSlots(count, { publishAt, publishIntervalMinutes }) {
+  const intervalMs = publishIntervalMinutes * 60 * 1000;
+  const start = publishAt ? publishAt.getTime() : null;
+
+  return Array.from({ length: count }, (_, idx) => {
+    if (start !== null) return new Date(start + idx * intervalMs);
+    if (intervalMs && idx > 0) return new Date(Date.now() + idx * intervalMs);
+    return null;
+  });
+}
+
+// Group the jobs and split the groups into posts short enough for every channel.
+// Returns { explanation, posts, slots }: see utils/jobGrouping.js and utils/postSplitter.js.
+// Posts reference the caller's job objects, not the copies rendered with company profiles.
+async function planPosts(jobs, options) {
+  const rendered = await attachCompanyProfiles(jobs);
+  const originalOf = new Map(rendered.map((job, idx) => [job, jobs[idx]]));
+
+  const { groups, explanation } = groupJobs(rendered, options);
+  const posts = buildPosts(groups, options, getMaxMessageLength(options.channels)).map(post => ({
+    ...post,
+    jobs: post.jobs.map(job => originalOf.get(job)),
+    truncated: post.truncated.map(({ job, fields }) => ({ job: originalOf.get(job), fields }))
+  }));
+  return { explanation, posts, slots: computePublishSlots(posts.length, options) };
+}
+
+// Queue payload for enqueuePublishJob
+function toQueuePosts(posts, slots) {
+  return posts.map((post, idx) => ({
+    jobIds: post.jobs.map(j => j.id).filter(Boolean),
+    jobTitles: post.jobs.map(j => j.job_title),
+    message: post.message,
+    publishDate: slots[idx]
+  }));
+}
+
+// Which stored jobs went into which queued post, for API responses
+function describeQueuedPosts(posts) {
+  return posts.map((post, idx) => ({
+    position: idx,
+    group: post.group,
+    part: post.part,
+    parts: post.parts,
+    jobIds: post.jobs.map(j => j.id).filter(Boolean),
+    length: post.message.length,
+    truncated: post.truncated.map(({ job, fields }) => ({ jobId: job.id, fields }))
+  }));
+}
+
+module.exports = {
+  parsePublishOptions,
+  computePublishSlots,
+  planPosts,
+  toQueuePosts,
+  describeQueuedPosts,
+  isPublishedTo,
+  isTrue,
+  optionalBoolean
+};
@@ -0,0 +1,284 @@
+// utils/publishQueue.js
+const { createClient } = require('@supabase/supabase-js');
+const { getPublisher, markJobAsPublished, DEFAULT_CHANNELS } = require('./publishers');
+const { recordAudit, toActor } = require('./auditLog');
+require('dotenv').config();
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+const POLL_INTERVAL_MS = 5000;
+const POST_INTERVAL_MS = 1200; // flood control between consecutive posts
+const MAX_ATTEMPTS = 5;
+const BASE_RETRY_DELAY_MS = 5000;
+const MAX_RETRY_DELAY_MS = 30 * 60 * 1000;
+const STATUS_UPDATE_ATTEMPTS = 3;
+const STATUS_UPDATE_RETRY_MS = 1000;
+
+let pollTimer = null;
+let isProcessing = false;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getRetryDelay(attempts, publisher, result) {
+  const base = Math.max(BASE_RETRY_DELAY_MS, publisher.minRetryDelayMs(result));
+  return Math.min(base * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+// Store a publish request with one queue item per rendered post and channel.
+// `posts` is [{ jobIds, jobTitles, message, publishDate }], publishDate being optional.
+// `user` is kept as the requester so queue results are audited under their name.
+async function enqueuePublishJob(posts, options = {}, channels = DEFAULT_CHANNELS, user = null) {
+  const { data: publishJob, error: jobError } = await supabase
+    .from('publish_jobs')
+    .insert({ options, total_items: posts.length * channels.length, requested_by: toActor(user) })
+    .select('*')
+    .single();
+
+  if (jobError) {
+    throw new Error(`Не удалось создать задачу публикации: ${jobError.message}`);
+  }
+
+  const now = new Date().toISOString();
+  const items = channels.flatMap(channel => {
+    const publisher = getPublisher(channel);
+
+    return posts.map((post, idx) => ({
+      publish_job_id: publishJob.id,
+      position: idx,
+      channel,
+      job_ids: post.jobIds,
+      job_titles: post.jobTitles,
+      message: post.message,
+      publish_date: post.publishDate ? post.publishDate.toISOString() : null,
+      status: 'pending',
+      attempts: 0,
+      // Channels without postponed posts are held back until their slot
+      next_attempt_at: !publisher.supportsScheduling && post.publishDate ? post.publishDate.toISOString() : now
+    }));
+  });
+
+  if (items.length > 0) {
+    const { error: itemsError } = await supabase.from('publish_queue_items').insert(items);
+    if (itemsError) {
+      throw new Error(`Не удалось поставить посты в очередь: ${itemsError.message}`);
+    }
+  }
+
+  return publishJob;
+}
+
+async function getPublishJob(id) {
+  const { data: publishJob, error } = await supabase
+    .from('publish_jobs')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  if (!publishJob) return null;
+
+  const { data: items, error: itemsError } = await supabase
+    .from('publish_queue_items')
+    .select('id, position, channel, job_ids, job_titles, publish_date, status, attempts, next_attempt_at, last_error, post_id, post_link, updated_at')
+    .eq('publish_job_id', id)
+    .order('position', { ascending: true })
+    .order('channel', { ascending: true });
+
+  if (itemsError) throw new Error(itemsError.message);
+
+  const counts = { pending: 0, processing: 0, retrying: 0, success: 0, failed: 0 };
+  items.forEach(item => {
+    counts[item.status] = (counts[item.status] || 0) + 1;
+  });
+
+  let status = 'completed';
+  if (counts.pending + counts.processing + counts.retrying > 0) {
+    status = counts.success + counts.failed > 0 || counts.processing > 0 ? 'in_progress' : 'pending';
+  } else if (counts.failed > 0) {
+    status = 'completed_with_errors';
+  }
+
+  return { ...publishJob, status, counts, items };
+}
+
+// Pick the oldest due item and mark it as processing. Returns null when the queue is idle.
+async function claimNextItem() {
+  const { data: candidates, error } = await supabase
+    .from('publish_queue_items')
+    .select('*')
+    .in('status', ['pending', 'retrying'])
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('publish_job_id', { ascending: true })
+    .order('position', { ascending: true })
+    .limit(1);
+
+  if (error) throw new Error(error.message);
+  if (!candidates || candidates.length === 0) return null;
+
+  const candidate = candidates[0];
+  const { data: claimed, error: claimError } = await supabase
+    .from('publish_queue_items')
+    .update({ status: 'processing', updated_at: new Date().toISOString() })
+    .eq('id', candidate.id)
+    .eq('status', candidate.status)
+    .select('*, publish_jobs(requested_by, options)');
+
+  if (claimError) throw new Error(claimError.message);
+  return claimed && claimed.length > 0 ? claimed[0] : null;
+}
+
+function auditPublishResult(item, attempts, result) {
+  return recordAudit({
+    actor: item.publish_jobs?.requested_by,
+    action: 'publish',
+    jobIds: item.job_ids || [],
+    details: {
+      publish_job_id: item.publish_job_id,
+      queue_item_id: item.id,
+      channel: item.channel,
+      attempt: attempts,
+      success: result.success,
+      post_id: result.postId ?? null,
+      link: result.link ?? null,
+      error: result.error ?? null,
+      error_code: result.errorCode ?? null
+    }
+  });
+}
+
+// Saves the outcome of an attempt. Failed writes are retried: an item left in
+// `processing` is published again by recoverStaleItems after a restart.
+async function updateItem(item, fields) {
+  for (let attempt = 1; ; attempt++) {
+    const { error } = await supabase
+      .from('publish_queue_items')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', item.id);
+
+    if (!error) return true;
+    if (attempt >= STATUS_UPDATE_ATTEMPTS) {
+      console.error(`❌ Не удалось сохранить статус «${fields.status}» элемента очереди ${item.id}:`, error.message);
+      return false;
+    }
+    await sleep(STATUS_UPDATE_RETRY_MS * attempt);
+  }
+}
+
+async function failItem(item, attempts, message) {
+  console.error(`🔴 Ошибка публикации (элемент очереди ${item.id}, ${item.channel}, попытка ${attempts}):`, message);
+  await updateItem(item, { status: 'failed', attempts, last_error: message });
+}
+
+async function processItem(item, credentialsCache) {
+  const attempts = item.attempts + 1;
+  const publisher = getPublisher(item.channel);
+
+  // Publish requests may target different VK communities
+  const publishOptions = item.publish_jobs?.options || {};
+  const cacheKey = `${item.channel}:${publishOptions.targetGroupId || ''}`;
+  if (!credentialsCache.has(cacheKey)) {
+    try {
+      credentialsCache.set(cacheKey, await publisher.getCredentials(publishOptions));
+    } catch (err) {
+      return failItem(item, attempts, err.message);
+    }
+  }
+
+  // A retry that runs past the slot falls back to posting immediately
+  const publishDate = item.publish_date ? new Date(item.publish_date) : null;
+  const scheduledAt = publisher.supportsScheduling && publishDate && publishDate.getTime() > Date.now()
+    ? publishDate
+    : null;
+
+  const result = await publisher.publish(item.message, credentialsCache.get(cacheKey), {
+    publishDate: scheduledAt
+  });
+  await auditPublishResult(item, attempts, result);
+
+  if (result.success) {
+    // Saved first, the post is out and must not be published again
+    const saved = await updateItem(item, {
+      status: 'success',
+      attempts,
+      last_error: null,
+      post_id: String(result.postId),
+      post_link: result.link
+    });
+    if (!saved) {
+      console.error(`❌ Пост ${result.link} опубликован, но элемент очереди ${item.id} остался в статусе processing`);
+    }
+
+    for (const jobId of item.job_ids || []) {
+      await markJobAsPublished(jobId, item.channel, result, scheduledAt);
+    }
+    return;
+  }
+
+  const lastError = result.errorCode ? `[${result.errorCode}] ${result.error}` : result.error;
+  if (!publisher.isRetryable(result) || attempts >= MAX_ATTEMPTS) {
+    return failItem(item, attempts, lastError);
+  }
+
+  console.error(`🟠 Повтор публикации (элемент очереди ${item.id}, ${item.channel}, попытка ${attempts}):`, lastError);
+  await updateItem(item, {
+    status: 'retrying',
+    attempts,
+    last_error: lastError,
+    next_attempt_at: new Date(Date.now() + getRetryDelay(attempts, publisher, result)).toISOString()
+  });
+}
+
+// Drain every due item, one post at a time
+async function processPublishQueue() {
+  if (isProcessing) return;
+  isProcessing = true;
+
+  try {
+    const credentialsCache = new Map();
+    let item;
+
+    while ((item = await claimNextItem())) {
+      await processItem(item, credentialsCache);
+      await sleep(POST_INTERVAL_MS);
+    }
+  } catch (err) {
+    console.error('❌ Ошибка обработки очереди публикаций:', err);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+// Items left in `processing` by a crash are put back in line. The post may
+// already be out if the crash happened after the channel API returned.
+async function recoverStaleItems() {
+  const { error } = await supabase
+    .from('publish_queue_items')
+    .update({ status: 'retrying', updated_at: new Date().toISOString() })
+    .eq('status', 'processing');
+
+  if (error) {
+    console.error('❌ Не удалось восстановить незавершённые элементы очереди:', error.message);
+  }
+}
+
+async function startPublishWorker() {
+  if (pollTimer) return;
+  await recoverStaleItems();
+  pollTimer = setInterval(processPublishQueue, POLL_INTERVAL_MS);
+  processPublishQueue();
+}
+
+function stopPublishWorker() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+module.exports = {
+  enqueuePublishJob,
+  getPublishJob,
+  processPublishQueue,
+  startPublishWorker,
+  stopPublishWorker
+};
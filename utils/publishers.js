@@ -0,0 +1,80 @@
+// utils/publishers.js
+// Registry of publishing channels. Each publisher exposes:
+//   channel, supportsScheduling, maxMessageLength, getCredentials(publishOptions), publish(message, credentials, { publishDate }),
+//   isRetryable(result), minRetryDelayMs(result)
+const { createClient } = require('@supabase/supabase-js');
+const { vkPublisher } = require('./vkPublisher');
+const { telegramPublisher } = require('./telegramPublisher');
+require('dotenv').config();
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+const PUBLISHERS = {
+  [vkPublisher.channel]: vkPublisher,
+  [telegramPublisher.channel]: telegramPublisher
+};
+
+const DEFAULT_CHANNELS = ['vk'];
+
+function getPublisher(channel) {
+  const publisher = PUBLISHERS[channel];
+  if (!publisher) throw new Error(`Неизвестный канал публикации: ${channel}`);
+  return publisher;
+}
+
+// "vk,telegram" or ['vk', 'telegram'] -> validated, de-duplicated list
+function parseChannels(value) {
+  if (!value) return DEFAULT_CHANNELS;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const channels = [...new Set(list.map(c => c.trim().toLowerCase()).filter(Boolean))];
+  const unknown = channels.filter(c => !PUBLISHERS[c]);
+
+  if (unknown.length > 0) {
+    throw new Error(`Неизвестные каналы публикации: ${unknown.join(', ')}`);
+  }
+
+  return channels.length > 0 ? channels : DEFAULT_CHANNELS;
+}
+
+// The same post text goes to every channel, so it has to fit the strictest one
+function getMaxMessageLength(channels = DEFAULT_CHANNELS) {
+  return Math.min(...channels.map(channel => getPublisher(channel).maxMessageLength));
+}
+
+// `scheduledAt` is the postponed publish time; when absent the post went live right away.
+// Links are kept per channel in `channel_links`; for the VK wall the post reference
+// (vk_owner_id / vk_post_id) is stored too so the post can be edited or deleted later.
+async function markJobAsPublished(jobId, channel, { link, postId, ownerId }, scheduledAt = null) {
+  const publishedAt = scheduledAt ? new Date(scheduledAt) : new Date();
+
+  const { data: job, error: fetchError } = await supabase
+    .from('jobs')
+    .select('channel_links')
+    .eq('id', jobId)
+    .single();
+
+  if (fetchError) {
+    console.error(`🔴 Ошибка при чтении вакансии ID ${jobId}:`, fetchError.message);
+    return;
+  }
+
+  const update = {
+    publication_date: publishedAt.toISOString().split('T')[0], // YYYY-MM-DD
+    scheduled_publication_at: scheduledAt ? publishedAt.toISOString() : null,
+    status: 'Активные',
+    channel_links: { ...(job.channel_links || {}), [channel]: link }
+  };
+  if (channel === 'vk') {
+    update.vk_link = link;
+    update.vk_post_id = postId;
+    update.vk_owner_id = ownerId;
+  }
+
+  const { error } = await supabase.from('jobs').update(update).eq('id', jobId);
+
+  if (error) {
+    console.error(`🔴 Ошибка при обновлении вакансии ID ${jobId}:`, error.message);
+  }
+}
+
+module.exports = { getPublisher, parseChannels, getMaxMessageLength, markJobAsPublished, DEFAULT_CHANNELS };
@@ -0,0 +1,48 @@
+// utils/salaryBackfill.js
+// Fills salary_min / salary_max / currency / period / is_negotiable for vacancies
+// stored before migration 003, from their ZARPL text. Safe to run again: only rows
+// with salary text and no parsed amount or currency are looked at.
+const { createClient } = require('@supabase/supabase-js');
+const { parseSalary } = require('./salaryParser');
+require('dotenv').config();
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+const PAGE_SIZE = 500;
+
+async function backfillStoredSalaries() {
+  let lastId = 0;
+  let scanned = 0;
+  let updated = 0;
+
+  for (;;) {
+    const { data, error } = await supabase
+      .from('jobs')
+      .select('id, salary')
+      .not('salary', 'is', null)
+      .is('salary_min', null)
+      .is('salary_max', null)
+      .is('currency', null)
+      .gt('id', lastId)
+      .order('id', { ascending: true })
+      .limit(PAGE_SIZE);
+
+    if (error) throw new Error(error.message);
+
+    for (const job of data) {
+      const parsed = parseSalary(job.salary);
+      scanned++;
+      // Text without an amount ("по договоренности") only sets is_negotiable
+      if (parsed.salary_min === null && parsed.salary_max === null && !parsed.is_negotiable) continue;
+
+      const { error: updateError } = await supabase.from('jobs').update(parsed).eq('id', job.id);
+      if (updateError) throw new Error(updateError.message);
+      updated++;
+    }
+
+    if (data.length < PAGE_SIZE) return { scanned, updated };
+    lastId = data[data.length - 1].id;
+  }
+}
+
+module.exports = { backfillStoredSalaries };
@@ -0,0 +1,82 @@
+// utils/salaryParser.js
+// Turns free-form ZARPL text ("от 40 000 до 60 000 руб.", "2500 р/смена",
+// "по договоренности") into salary_min / salary_max / currency / period / is_negotiable.
+
+const NEGOTIABLE_REGEX = /договор|собеседовани|по результат/i;
+
+const CURRENCIES = [
+  { code: 'USD', regex: /\$|usd|долл/i },
+  { code: 'EUR', regex: /€|eur|евро/i },
+  { code: 'RUB', regex: /₽|руб|(^|[^а-яё])р(?![а-яё])|rub/i },
+];
+
+const PERIODS = [
+  { code: 'hour', regex: /час|\/ч(?![а-яё])/i },
+  { code: 'shift', regex: /смен|сутк|в день|\/день|за день/i },
+  { code: 'month', regex: /мес|оклад/i },
+];
+
+const THOUSANDS_REGEX = /тыс|т\.р|\d\s*к(?![а-яё])/i;
+
+function emptySalary() {
+  return { salary_min: null, salary_max: null, currency: null, period: null, is_negotiable: false };
+}
+
+function toNumber(raw, multiplier) {
+  const value = parseFloat(raw.replace(',', '.'));
+  return isNaN(value) ? null : Math.round(value * multiplier);
+}
+
+function parseSalary(salaryText) {
+  const result = emptySalary();
+  if (!salaryText) return result;
+
+  // "40 000" -> "40000", non-breaking spaces included
+  const normalized = String(salaryText)
+    .replace(/ /g, ' ')
+    .replace(/(\d)\s+(?=\d{3}\b)/g, '$1')
+    .toLowerCase();
+
+  result.is_negotiable = NEGOTIABLE_REGEX.test(normalized);
+
+  const multiplier = THOUSANDS_REGEX.test(normalized) ? 1000 : 1;
+  const numberPattern = '(\\d+(?:[.,]\\d+)?)';
+  const from = normalized.match(new RegExp(`от\\s*${numberPattern}`));
+  const to = normalized.match(new RegExp(`до\\s*${numberPattern}`));
+  const range = normalized.match(new RegExp(`${numberPattern}\\s*[-–—]\\s*${numberPattern}`));
+  const numbers = normalized.match(/\d+(?:[.,]\d+)?/g) || [];
+
+  if (from || to) {
+    result.salary_min = from ? toNumber(from[1], multiplier) : null;
+    result.salary_max = to ? toNumber(to[1], multiplier) : null;
+  } else if (range) {
+    result.salary_min = toNumber(range[1], multiplier);
+    result.salary_max = toNumber(range[2], multiplier);
+  } else if (numbers.length > 0) {
+    result.salary_min = toNumber(numbers[0], multiplier);
+    result.salary_max = result.salary_min;
+  }
+
+  if (result.salary_min !== null && result.salary_max !== null && result.salary_min > result.salary_max) {
+    [result.salary_min, result.salary_max] = [result.salary_max, result.salary_min];
+  }
+
+  const hasAmount = result.salary_min !== null || result.salary_max !== null;
+  if (hasAmount) {
+    result.currency = (CURRENCIES.find(c => c.regex.test(normalized)) || { code: 'RUB' }).code;
+    result.period = (PERIODS.find(p => p.regex.test(normalized)) || { code: 'month' }).code;
+  }
+
+  return result;
+}
+
+// The amount compared against salaryThreshold: the top of the range when known.
+// Rows stored before the salary columns existed have both as null, so the text is parsed.
+function getComparableSalary(job) {
+  const salary = job.salary_min == null && job.salary_max == null
+    ? parseSalary(job.salary)
+    : job;
+  return salary.salary_max ?? salary.salary_min ?? null;
+}
+
+module.exports = { parseSalary, getComparableSalary };
@@ -0,0 +1,40 @@
+// utils/secretBox.js
+// AES-256-GCM for secrets stored in Supabase (VK tokens). The key comes from
+// CREDENTIALS_ENCRYPTION_KEY: 32 bytes as 64 hex characters or base64.
+const crypto = require('crypto');
+require('dotenv').config();
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+function getKey() {
+  const raw = process.env.CREDENTIALS_ENCRYPTION_KEY || '';
+  const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+
+  if (key.length !== 32) {
+    throw new Error('❌ CREDENTIALS_ENCRYPTION_KEY должен содержать 32 байта (64 hex-символа или base64)');
+  }
+  return key;
+}
+
+// "v1:<iv>:<auth tag>:<ciphertext>", all base64
+function encryptSecret(plainText) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(String(plainText), 'utf8'), cipher.final()]);
+
+  return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), encrypted.toString('base64')].join(':');
+}
+
+function decryptSecret(payload) {
+  const [version, iv, tag, encrypted] = String(payload).split(':');
+  if (version !== VERSION || !iv || !tag || !encrypted) {
+    throw new Error('❌ Неизвестный формат зашифрованного значения');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+}
+
+module.exports = { encryptSecret, decryptSecret };
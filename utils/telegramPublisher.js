@@ -0,0 +1,70 @@
+// utils/telegramPublisher.js
+const axios = require('axios');
+require('dotenv').config();
+
+const TELEGRAM_API_BASE_URL = process.env.TELEGRAM_API_BASE_URL || 'https://api.telegram.org';
+const TELEGRAM_MAX_MESSAGE_LENGTH = 4096;
+
+function getTelegramCredentials() {
+  const botToken = process.env.TELEGRAM_BOT_TOKEN;
+  const chatId = process.env.TELEGRAM_CHANNEL_ID;
+
+  if (!botToken || !chatId) {
+    throw new Error('❌ Не заданы TELEGRAM_BOT_TOKEN и TELEGRAM_CHANNEL_ID');
+  }
+
+  return { botToken, chatId };
+}
+
+// @channel -> t.me/channel/42, private -100123 -> t.me/c/123/42
+function buildMessageLink(chatId, messageId, chat) {
+  const username = chat?.username || (String(chatId).startsWith('@') ? String(chatId).slice(1) : null);
+  if (username) return `https://t.me/${username}/${messageId}`;
+
+  const internalId = String(chat?.id ?? chatId).replace(/^-100/, '');
+  return `https://t.me/c/${internalId}/${messageId}`;
+}
+
+async function sendTelegramMessage(message, botToken, chatId) {
+  const url = `${TELEGRAM_API_BASE_URL}/bot${botToken}/sendMessage`;
+
+  try {
+    const res = await axios.post(url, {
+      chat_id: chatId,
+      text: message,
+      disable_web_page_preview: true
+    }, { validateStatus: () => true });
+
+    if (res.data?.ok) {
+      const messageId = res.data.result.message_id;
+      return {
+        success: true,
+        postId: messageId,
+        link: buildMessageLink(chatId, messageId, res.data.result.chat)
+      };
+    }
+
+    return {
+      success: false,
+      error: res.data?.description || `Telegram API HTTP ${res.status}`,
+      errorCode: res.data?.error_code ?? res.status,
+      retryAfterMs: res.data?.parameters?.retry_after ? res.data.parameters.retry_after * 1000 : 0
+    };
+  } catch (error) {
+    return { success: false, error: error.message, errorCode: null };
+  }
+}
+
+// Bot API has no postponed messages: scheduled items wait in the queue until their slot
+const telegramPublisher = {
+  channel: 'telegram',
+  supportsScheduling: false,
+  maxMessageLength: TELEGRAM_MAX_MESSAGE_LENGTH,
+  getCredentials: async () => getTelegramCredentials(),
+  publish: (message, credentials) => sendTelegramMessage(message, credentials.botToken, credentials.chatId),
+  // 429 is flood control, 5xx and network failures are transient
+  isRetryable: result => result.errorCode === null || result.errorCode === 429 || result.errorCode >= 500,
+  minRetryDelayMs: result => result.retryAfterMs || 0
+};
+
+module.exports = { sendTelegramMessage, telegramPublisher };
@@ -0,0 +1,159 @@
+// utils/vacancyExport.js
+// Serializes `jobs` rows for GET /vacancies/export: CSV and XLSX for people,
+// DECLARBODY XML for systems that consume the same feed we import.
+const xml2js = require('xml2js');
+const ExcelJS = require('exceljs');
+
+const EXPORT_COLUMNS = [
+  { key: 'id', header: 'ID' },
+  { key: 'job_title', header: 'Вакансия' },
+  { key: 'status', header: 'Статус' },
+  { key: 'company_name', header: 'Компания' },
+  { key: 'company_inn', header: 'ИНН' },
+  { key: 'account_number', header: 'Номер счёта' },
+  { key: 'account_date', header: 'Дата счёта' },
+  { key: 'publication_date', header: 'Дата публикации' },
+  { key: 'depub_date', header: 'Дата снятия' },
+  { key: 'salary', header: 'Зарплата' },
+  { key: 'salary_min', header: 'Зарплата от' },
+  { key: 'salary_max', header: 'Зарплата до' },
+  { key: 'address', header: 'Адрес' },
+  { key: 'schedule', header: 'График' },
+  { key: 'phone', header: 'Телефон' },
+  { key: 'email', header: 'Email' },
+  { key: 'contact_person', header: 'Контактное лицо' },
+  { key: 'responsibilities', header: 'Обязанности' },
+  { key: 'requirements', header: 'Требования' },
+  { key: 'conditions', header: 'Условия' },
+  { key: 'extra_info', header: 'Дополнительно' },
+  { key: 'vk_link', header: 'Пост VK' }
+];
+
+// Excel with a Russian locale opens ';'-separated files without the import wizard
+const CSV_DELIMITER = ';';
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[";\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCsv(jobs) {
+  const lines = [
+    EXPORT_COLUMNS.map(column => csvCell(column.header)).join(CSV_DELIMITER),
+    ...jobs.map(job => EXPORT_COLUMNS.map(column => csvCell(job[column.key])).join(CSV_DELIMITER))
+  ];
+  // BOM so Excel detects UTF-8
+  return `﻿${lines.join('\r\n')}\r\n`;
+}
+
+async function toXlsx(jobs) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Вакансии');
+
+  sheet.columns = EXPORT_COLUMNS.map(column => ({ header: column.header, key: column.key, width: 20 }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  jobs.forEach(job => sheet.addRow(job));
+
+  return workbook.xlsx.writeBuffer();
+}
+
+// dd.mm.yyyy, the SCHETDATA format of the feed
+function toFeedDate(value) {
+  if (!value) return undefined;
+  const [year, month, day] = String(value).split('T')[0].split('-');
+  return `${day}.${month}.${year}`;
+}
+
+// Unix seconds, the PUBLON / PUBLOFF format of the feed. Stored dates are UTC midnight.
+function toFeedTimestamp(value) {
+  if (!value) return undefined;
+  const ms = Date.parse(String(value).split('T')[0]);
+  return isNaN(ms) ? undefined : String(Math.floor(ms / 1000));
+}
+
+// Tag suffixes of a structured ADRESSORABOTI block, see extractLocation in utils/jobXmlParser.js
+const LOCATION_TAGS = {
+  region: 'OBLAST',
+  district: 'OBLAST-RAION',
+  settlement_type: 'OBLAST-TIPDERVNY',
+  settlement: 'GOROD-DERVNY',
+  city: 'GOROD',
+  street: 'ULICA',
+  house: 'DOM'
+};
+
+function toAddressBlock(location, tagName) {
+  if (location.raw) return location.raw;
+
+  const block = {};
+  Object.entries(LOCATION_TAGS).forEach(([field, suffix]) => {
+    if (location[field]) block[`${tagName}-${suffix}`] = location[field];
+  });
+  return block;
+}
+
+function splitList(value, separator) {
+  return value ? String(value).split(separator).map(part => part.trim()).filter(Boolean) : [];
+}
+
+// Inverse of parseJobRow in utils/jobXmlParser.js: uses the plain-text tag variants
+// so parsing the output gives back the same field values
+function toFeedRow(job) {
+  const row = {
+    VAKNAZV: job.job_title,
+    PUBLON: toFeedTimestamp(job.publication_date),
+    PUBLOFF: toFeedTimestamp(job.depub_date),
+    SCHETNOMER: job.account_number,
+    SCHETDATA: toFeedDate(job.account_date),
+    INNKOMPAN: job.company_inn,
+    NAZVKOMPAN: job.company_name,
+    ELPOCHTA: job.email,
+    ZARPL: job.salary,
+    KOGOSPROSITJ: job.contact_person,
+    RUBR_ATRYB: job.rubr_atryb,
+    GAFIK_RABOTI: job.schedule,
+    DOPINFORMS_USLOVIY: job.conditions,
+    DOPINFORMS_OBYZANOSTI: job.responsibilities,
+    DOPINFORMS_TREBOVANIY: job.requirements,
+    VAKOPISANIYE: job.extra_info
+  };
+
+  // E.164 numbers parse back to themselves; unrecognised ones are passed on as they came
+  const phones = Array.isArray(job.phones)
+    ? [...job.phones, ...(job.invalid_phones || [])]
+    : splitList(job.phone, ',');
+  if (phones.length > 0) row.TELEF = { TELEF_NOMER: phones };
+
+  // Several addresses become numbered blocks, joined back with '; ' on import.
+  // Rows imported before `locations` existed only have the flattened text.
+  const locations = Array.isArray(job.locations) && job.locations.length > 0
+    ? job.locations
+    : splitList(job.address, ';').map(raw => ({ raw }));
+  locations.forEach((location, idx) => {
+    const tagName = idx === 0 ? 'ADRESSORABOTI' : `ADRESSORABOTI${idx}`;
+    row[tagName] = toAddressBlock(location, tagName);
+  });
+
+  Object.keys(row).forEach(key => {
+    if (row[key] === null || row[key] === undefined || row[key] === '') delete row[key];
+  });
+  return row;
+}
+
+function toDeclarbodyXml(jobs) {
+  const builder = new xml2js.Builder({
+    rootName: 'DECLARBODY',
+    xmldec: { version: '1.0', encoding: 'UTF-8' }
+  });
+  return builder.buildObject({ ROW: jobs.map(toFeedRow) });
+}
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', serialize: toCsv },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx', serialize: toXlsx },
+  xml: { contentType: 'application/xml; charset=utf-8', extension: 'xml', serialize: toDeclarbodyXml }
+};
+
+module.exports = { EXPORT_FORMATS, EXPORT_COLUMNS, toCsv, toXlsx, toDeclarbodyXml, toFeedRow };
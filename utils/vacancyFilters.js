@@ -0,0 +1,219 @@
+// utils/vacancyFilters.js
+// Query parameters shared by every endpoint that lists vacancies.
+const { normalizeName, normalizeDistrict, normalizeRegion } = require('./gazetteer');
+const { SCHEDULE_TYPES } = require('./jobXmlParser');
+
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 1000;
+
+const SORTABLE_COLUMNS = [
+  'id',
+  'job_title',
+  'company_name',
+  'publication_date',
+  'depub_date',
+  'account_date',
+  'salary_min',
+  'salary_max',
+  'status',
+  'created_at'
+];
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}/;
+const INN_REGEX = /^(\d{10}|\d{12})$/;
+
+function isValidDate(value) {
+  return typeof value === 'string' && DATE_REGEX.test(value) && !isNaN(new Date(value));
+}
+
+// PostgREST filter values inside .or() are quoted so commas and parentheses in user input stay literal
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// Comma-separated (or repeated) query parameter as a list of trimmed values
+function parseList(value) {
+  if (value === undefined) return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+// Opaque keyset cursor: the sort and the sort value and id of the last row of the previous page
+function encodeCursor(row, filters) {
+  const cursor = { s: `${filters.sortBy}:${filters.sortOrder}`, v: row[filters.sortBy] ?? null, id: row.id };
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const value = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!value || !Number.isInteger(value.id) || !('v' in value)) return null;
+    return value;
+  } catch {
+    return null;
+  }
+}
+
+// Validate /vacancies query parameters. Returns { filters } or { error }.
+function parseListQuery(query) {
+  const {
+    page,
+    cursor,
+    limit = String(DEFAULT_LIMIT),
+    status,
+    date_from,
+    date_to,
+    search_term,
+    salary_from,
+    salary_to,
+    city,
+    district,
+    region,
+    schedule_type,
+    company_inn,
+    rubr_atryb,
+    has_vk_link,
+    sort_by = 'publication_date',
+    sort_order = 'desc'
+  } = query;
+
+  const limitNum = Number(limit);
+  const scheduleTypes = parseList(schedule_type);
+  const rubrics = parseList(rubr_atryb);
+
+  if (page !== undefined) return { error: 'page is no longer supported, pass the nextCursor of the previous response as cursor' };
+  if (!Number.isInteger(limitNum) || limitNum < 1 || limitNum > MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+  }
+  if (date_from !== undefined && !isValidDate(date_from)) return { error: 'date_from must be a date (YYYY-MM-DD)' };
+  if (date_to !== undefined && !isValidDate(date_to)) return { error: 'date_to must be a date (YYYY-MM-DD)' };
+  if (salary_from !== undefined && isNaN(Number(salary_from))) return { error: 'salary_from must be a number' };
+  if (salary_to !== undefined && isNaN(Number(salary_to))) return { error: 'salary_to must be a number' };
+  const unknownSchedule = scheduleTypes.find(type => !SCHEDULE_TYPES.includes(type));
+  if (unknownSchedule) return { error: `schedule_type must be one of: ${SCHEDULE_TYPES.join(', ')}` };
+  if (company_inn !== undefined && !INN_REGEX.test(String(company_inn))) {
+    return { error: 'company_inn must be 10 or 12 digits' };
+  }
+  if (has_vk_link !== undefined && !['true', 'false'].includes(String(has_vk_link))) {
+    return { error: 'has_vk_link must be true or false' };
+  }
+  if (!SORTABLE_COLUMNS.includes(sort_by)) {
+    return { error: `sort_by must be one of: ${SORTABLE_COLUMNS.join(', ')}` };
+  }
+  if (!['asc', 'desc'].includes(sort_order)) return { error: 'sort_order must be asc or desc' };
+
+  const decodedCursor = cursor !== undefined ? decodeCursor(cursor) : null;
+  if (cursor !== undefined && !decodedCursor) return { error: 'cursor is invalid' };
+  if (decodedCursor && decodedCursor.s !== `${sort_by}:${sort_order}`) {
+    return { error: 'cursor was issued for a different sort_by / sort_order' };
+  }
+
+  return {
+    filters: {
+      cursor: decodedCursor,
+      limit: limitNum,
+      status,
+      dateFrom: date_from,
+      dateTo: date_to,
+      searchTerm: search_term ? String(search_term).trim() : null,
+      salaryFrom: salary_from !== undefined ? Number(salary_from) : null,
+      salaryTo: salary_to !== undefined ? Number(salary_to) : null,
+      city: city ? normalizeName(city) : null,
+      district: district ? normalizeDistrict(district) : null,
+      region: region ? normalizeRegion(region) : null,
+      scheduleTypes,
+      companyInn: company_inn !== undefined ? String(company_inn) : null,
+      rubrics,
+      hasVkLink: has_vk_link !== undefined ? String(has_vk_link) === 'true' : null,
+      sortBy: sort_by,
+      sortOrder: sort_order
+    }
+  };
+}
+
+function applyVacancyFilters(query, filters) {
+  if (filters.status) {
+    query = query.eq('status', filters.status);
+  }
+  if (filters.dateFrom) {
+    query = query.gte('publication_date', filters.dateFrom);
+  }
+  if (filters.dateTo) {
+    query = query.lte('publication_date', filters.dateTo);
+  }
+  // Salary range overlap on the parsed salary_min / salary_max columns
+  if (filters.salaryFrom !== null) {
+    query = query.or(`salary_max.gte.${filters.salaryFrom},and(salary_max.is.null,salary_min.gte.${filters.salaryFrom})`);
+  }
+  if (filters.salaryTo !== null) {
+    query = query.or(`salary_min.lte.${filters.salaryTo},and(salary_min.is.null,salary_max.lte.${filters.salaryTo})`);
+  }
+  // Keys written by utils/gazetteer.js, any of the job's work locations may match
+  if (filters.city) {
+    query = query.contains('location_cities', [filters.city]);
+  }
+  if (filters.district) {
+    query = query.contains('location_districts', [filters.district]);
+  }
+  if (filters.region) {
+    query = query.contains('location_regions', [filters.region]);
+  }
+  // schedule_types is derived from the schedule text by the parser, any listed type matches
+  if (filters.scheduleTypes.length > 0) {
+    query = query.overlaps('schedule_types', filters.scheduleTypes);
+  }
+  if (filters.companyInn) {
+    query = query.eq('company_inn', filters.companyInn);
+  }
+  if (filters.rubrics.length > 0) {
+    query = query.in('rubr_atryb', filters.rubrics);
+  }
+  if (filters.hasVkLink !== null) {
+    query = filters.hasVkLink ? query.not('vk_link', 'is', null) : query.is('vk_link', null);
+  }
+  // Russian stemming over title, responsibilities and requirements (search_vector, migration 014)
+  if (filters.searchTerm) {
+    query = query.textSearch('search_vector', filters.searchTerm, { config: 'russian', type: 'websearch' });
+  }
+  return query;
+}
+
+// Order by the sort column, then id, with NULLs last in both directions so the
+// cursor condition below can walk past them
+function orderVacancies(query, filters) {
+  const ascending = filters.sortOrder === 'asc';
+  query = query.order(filters.sortBy, { ascending, nullsFirst: false });
+  return filters.sortBy === 'id' ? query : query.order('id', { ascending });
+}
+
+// Keyset condition for the rows after filters.cursor in orderVacancies() order
+function applyCursor(query, filters) {
+  if (!filters.cursor) return query;
+
+  const { v, id } = filters.cursor;
+  const op = filters.sortOrder === 'asc' ? 'gt' : 'lt';
+  const column = filters.sortBy;
+
+  if (column === 'id') return query[op]('id', id);
+  if (v === null) {
+    // Already among the trailing NULLs, only the id decides
+    return query.is(column, null)[op]('id', id);
+  }
+  const value = quoteFilterValue(v);
+  return query.or(`${column}.${op}.${value},and(${column}.eq.${value},id.${op}.${id}),${column}.is.null`);
+}
+
+module.exports = {
+  parseListQuery,
+  applyVacancyFilters,
+  orderVacancies,
+  applyCursor,
+  encodeCursor,
+  isValidDate,
+  quoteFilterValue,
+  INN_REGEX,
+  SORTABLE_COLUMNS,
+  DEFAULT_LIMIT
+};
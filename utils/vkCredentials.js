@@ -0,0 +1,217 @@
+// utils/vkCredentials.js
+// VK access tokens per target community, encrypted at rest (utils/secretBox.js).
+// Tokens are decrypted only to call VK; rows returned to API clients never carry them.
+const { createClient } = require('@supabase/supabase-js');
+const { encryptSecret, decryptSecret } = require('./secretBox');
+require('dotenv').config();
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+// Everything except token_encrypted
+const PUBLIC_COLUMNS = [
+  'id', 'label', 'group_id', 'group_name', 'token_type', 'token_last4', 'scopes', 'expires_at',
+  'is_default', 'validated_at', 'validation_error', 'created_at', 'created_by', 'rotated_at', 'revoked_at'
+].join(', ');
+
+function tokenLast4(token) {
+  return String(token).slice(-4);
+}
+
+// `validation` is the result of validateVkToken (utils/vkPublisher.js)
+function validationFields(validation) {
+  return {
+    group_name: validation.groupName || null,
+    token_type: validation.tokenType || null,
+    scopes: validation.scopes || [],
+    validated_at: new Date().toISOString(),
+    validation_error: validation.valid ? null : validation.error
+  };
+}
+
+async function listVkCredentials({ includeRevoked = false } = {}) {
+  let query = supabase.from('vk_credentials').select(PUBLIC_COLUMNS).order('group_id').order('created_at', { ascending: false });
+  if (!includeRevoked) query = query.is('revoked_at', null);
+
+  const { data, error } = await query;
+  if (error) throw new Error(error.message);
+  return data || [];
+}
+
+async function getVkCredential(id) {
+  const { data, error } = await supabase.from('vk_credentials').select(PUBLIC_COLUMNS).eq('id', id).maybeSingle();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+// Only one default community at a time (unique index in migration 011)
+async function clearDefault(exceptId = null) {
+  let query = supabase.from('vk_credentials').update({ is_default: false }).eq('is_default', true);
+  if (exceptId) query = query.neq('id', exceptId);
+
+  const { error } = await query;
+  if (error) throw new Error(error.message);
+}
+
+async function createVkCredential({ label, groupId, token, expiresAt, isDefault }, validation, user) {
+  if (isDefault) await clearDefault();
+
+  const { data, error } = await supabase
+    .from('vk_credentials')
+    .insert({
+      label: label || null,
+      group_id: groupId,
+      token_encrypted: encryptSecret(token),
+      token_last4: tokenLast4(token),
+      expires_at: expiresAt || null,
+      is_default: Boolean(isDefault),
+      created_by: user ? { id: user.id, name: user.name || null } : null,
+      ...validationFields(validation)
+    })
+    .select(PUBLIC_COLUMNS)
+    .single();
+
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+async function updateVkCredential(id, update) {
+  if (update.is_default) await clearDefault(id);
+
+  const { data, error } = await supabase
+    .from('vk_credentials')
+    .update(update)
+    .eq('id', id)
+    .is('revoked_at', null)
+    .select(PUBLIC_COLUMNS)
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+async function saveValidation(id, validation) {
+  return updateVkCredential(id, validationFields(validation));
+}
+
+// Replace the token of an existing community entry
+async function rotateVkCredential(id, { token, expiresAt }, validation) {
+  return updateVkCredential(id, {
+    token_encrypted: encryptSecret(token),
+    token_last4: tokenLast4(token),
+    expires_at: expiresAt || null,
+    rotated_at: new Date().toISOString(),
+    ...validationFields(validation)
+  });
+}
+
+async function revokeVkCredential(id) {
+  return updateVkCredential(id, { revoked_at: new Date().toISOString(), is_default: false });
+}
+
+// Plain token of a stored entry, for re-validation
+async function getVkToken(id) {
+  const { data, error } = await supabase
+    .from('vk_credentials')
+    .select('token_encrypted, group_id')
+    .eq('id', id)
+    .is('revoked_at', null)
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  return data ? { token: decryptSecret(data.token_encrypted), groupId: data.group_id } : null;
+}
+
+const LEGACY_ACTOR = { id: 'system:access-tokens-migration', name: 'access_tokens' };
+
+// Before vk_credentials existed tokens were kept in plain text in access_tokens.
+// At startup they are moved here encrypted and deleted from there; access_tokens
+// is never used to publish. A row is only deleted once its token is stored here.
+async function migrateLegacyVkTokens() {
+  try {
+    const { data: rows, error } = await supabase
+      .from('access_tokens')
+      .select('service_key, owner_id')
+      .order('created_at', { ascending: true });
+    if (error) throw new Error(error.message);
+
+    const migrated = [];
+    for (const row of rows || []) {
+      const groupId = Math.abs(Number(row.owner_id));
+      if (!row.service_key || !groupId) {
+        console.warn(`🟠 Запись access_tokens без токена или сообщества (owner_id ${row.owner_id}) не перенесена`);
+        continue;
+      }
+
+      const { data: stored, error: storedError } = await supabase
+        .from('vk_credentials')
+        .select('token_encrypted')
+        .eq('group_id', groupId);
+      if (storedError) throw new Error(storedError.message);
+
+      if (!(stored || []).some(entry => decryptSecret(entry.token_encrypted) === row.service_key)) {
+        const { error: insertError } = await supabase.from('vk_credentials').insert({
+          label: 'access_tokens',
+          group_id: groupId,
+          token_encrypted: encryptSecret(row.service_key),
+          token_last4: tokenLast4(row.service_key),
+          created_by: LEGACY_ACTOR
+        });
+        if (insertError) throw new Error(insertError.message);
+      }
+
+      const { error: deleteError } = await supabase.from('access_tokens').delete().eq('service_key', row.service_key);
+      if (deleteError) throw new Error(deleteError.message);
+      migrated.push(groupId);
+    }
+
+    if (migrated.length > 0) {
+      console.log(`🔐 Токены VK из access_tokens перенесены в vk_credentials (сообщества ${migrated.join(', ')})`);
+    }
+  } catch (err) {
+    console.error('❌ Не удалось перенести токены VK из access_tokens, они не используются:', err.message);
+  }
+}
+
+// Token to post to `groupId`, or the default community when none is given.
+// Entries that failed validation or have expired are not used.
+async function getVkCredentials({ groupId = null } = {}) {
+  let query = supabase
+    .from('vk_credentials')
+    .select('id, group_id, token_encrypted, expires_at')
+    .is('revoked_at', null)
+    .is('validation_error', null)
+    .or(`expires_at.is.null,expires_at.gt."${new Date().toISOString()}"`);
+
+  query = groupId
+    ? query.eq('group_id', groupId).order('created_at', { ascending: false })
+    : query.order('is_default', { ascending: false }).order('created_at', { ascending: false });
+
+  const { data, error } = await query.limit(1).maybeSingle();
+  if (error) throw new Error(`❌ Не удалось получить VK токены: ${error.message}`);
+
+  if (data) {
+    return {
+      accessToken: decryptSecret(data.token_encrypted),
+      ownerId: -data.group_id,
+      groupId: data.group_id,
+      credentialId: data.id
+    };
+  }
+
+  throw new Error(groupId
+    ? `❌ Нет действующего токена VK для сообщества ${groupId}`
+    : '❌ Не удалось получить VK токены: Нет данных');
+}
+
+module.exports = {
+  listVkCredentials,
+  getVkCredential,
+  createVkCredential,
+  updateVkCredential,
+  saveValidation,
+  rotateVkCredential,
+  revokeVkCredential,
+  getVkToken,
+  getVkCredentials,
+  migrateLegacyVkTokens
+};
@@ -0,0 +1,166 @@
+// utils/vkPostSync.js
+// Keeps VK wall posts in line with the vacancies they advertise. A post may
+// cover several jobs (grouped posts), so every change re-renders the whole post
+// from the jobs still attached to it, and deletes it once none are left.
+const { createClient } = require('@supabase/supabase-js');
+const { getVkCredentials, editVkPost, deleteVkPost, vkPublisher } = require('./vkPublisher');
+const { fitJobsIntoMessage } = require('./postSplitter');
+const { attachCompanyProfiles } = require('./companies');
+const { recordAudit } = require('./auditLog');
+const { chunkValues } = require('./inFilterChunks');
+const { isDepubDatePassed } = require('./expiryDate');
+require('dotenv').config();
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+const ARCHIVED_STATUS = 'Архивные';
+
+function isJobActive(job) {
+  return job.status !== ARCHIVED_STATUS && !isDepubDatePassed(job.depub_date);
+}
+
+function refKey(ref) {
+  return `${ref.ownerId}_${ref.postId}`;
+}
+
+// Unique wall posts referenced by the given jobs. Call before deleting rows.
+async function getVkPostRefs(jobIds) {
+  if (!jobIds || jobIds.length === 0) return [];
+
+  const refs = new Map();
+  for (const chunk of chunkValues(jobIds)) {
+    const { data, error } = await supabase
+      .from('jobs')
+      .select('vk_owner_id, vk_post_id')
+      .in('id', chunk)
+      .not('vk_post_id', 'is', null);
+
+    if (error) throw new Error(error.message);
+
+    (data || []).forEach(job => {
+      const ref = { ownerId: job.vk_owner_id, postId: job.vk_post_id };
+      refs.set(refKey(ref), ref);
+    });
+  }
+  return [...refs.values()];
+}
+
+// Render options the post was originally published with, from its queue item
+async function getPostOptions(link) {
+  const { data: item } = await supabase
+    .from('publish_queue_items')
+    .select('publish_job_id')
+    .eq('channel', 'vk')
+    .eq('post_link', link)
+    .limit(1)
+    .maybeSingle();
+
+  if (!item) return {};
+
+  const { data: publishJob } = await supabase
+    .from('publish_jobs')
+    .select('options')
+    .eq('id', item.publish_job_id)
+    .maybeSingle();
+
+  return publishJob?.options || {};
+}
+
+async function detachJobsFromPost(jobIds) {
+  for (const chunk of chunkValues(jobIds)) {
+    const { error } = await supabase
+      .from('jobs')
+      .update({ vk_link: null, vk_post_id: null, vk_owner_id: null })
+      .in('id', chunk);
+
+    if (error) {
+      console.error('🔴 Ошибка при отвязке вакансий от поста VK:', error.message);
+    }
+  }
+}
+
+async function syncVkPost(ref, credentials) {
+  const { data: jobs, error } = await supabase
+    .from('jobs')
+    .select('*')
+    .eq('vk_owner_id', ref.ownerId)
+    .eq('vk_post_id', ref.postId)
+    .order('id', { ascending: true });
+
+  if (error) return { ...ref, action: 'none', success: false, error: error.message };
+
+  const activeJobs = (jobs || []).filter(isJobActive);
+  const inactiveJobIds = (jobs || []).filter(job => !isJobActive(job)).map(job => job.id);
+
+  if (activeJobs.length === 0) {
+    const result = await deleteVkPost(credentials.accessToken, ref.ownerId, ref.postId);
+    if (result.success) await detachJobsFromPost(inactiveJobIds);
+    return { ...ref, action: 'delete', jobIds: inactiveJobIds, success: result.success, error: result.error };
+  }
+
+  const options = await getPostOptions(activeJobs[0].vk_link);
+  // An edit can make the jobs longer than the post they share; shorten fields rather than fail
+  const { message } = fitJobsIntoMessage(await attachCompanyProfiles(activeJobs), options, vkPublisher.maxMessageLength);
+  const scheduledAt = activeJobs[0].scheduled_publication_at;
+  const result = await editVkPost(message, credentials.accessToken, ref.ownerId, ref.postId, {
+    publishDate: scheduledAt ? new Date(scheduledAt) : null
+  });
+
+  if (result.success) await detachJobsFromPost(inactiveJobIds);
+  return {
+    ...ref,
+    action: 'edit',
+    jobIds: activeJobs.map(job => job.id),
+    removedJobIds: inactiveJobIds,
+    success: result.success,
+    error: result.error
+  };
+}
+
+// Re-render or delete each referenced post. Failures are reported, not thrown,
+// so a VK outage never blocks the database change that triggered the sync.
+// `user` is the actor recorded in the audit log (system when omitted).
+async function syncVkPosts(refs, user = null) {
+  if (!refs || refs.length === 0) return [];
+
+  // Each wall belongs to a community with its own token
+  const credentialsByGroup = new Map();
+  const getCredentials = async ownerId => {
+    const groupId = Math.abs(Number(ownerId));
+    if (!credentialsByGroup.has(groupId)) {
+      credentialsByGroup.set(groupId, await getVkCredentials({ groupId }).catch(err => ({ error: err.message })));
+    }
+    return credentialsByGroup.get(groupId);
+  };
+
+  const results = [];
+  for (const ref of refs) {
+    const credentials = await getCredentials(ref.ownerId);
+    if (credentials.error) {
+      console.error(`🔴 Синхронизация поста VK ${refKey(ref)} пропущена:`, credentials.error);
+      results.push({ ...ref, action: 'none', success: false, error: credentials.error });
+      continue;
+    }
+
+    const result = await syncVkPost(ref, credentials);
+    if (!result.success) {
+      console.error(`🔴 Ошибка синхронизации поста VK ${refKey(ref)}:`, result.error);
+    }
+    if (result.action !== 'none') {
+      await recordAudit({
+        user,
+        action: result.action === 'delete' ? 'vk_post_delete' : 'vk_post_edit',
+        jobIds: [...(result.jobIds || []), ...(result.removedJobIds || [])],
+        details: result
+      });
+    }
+    results.push(result);
+  }
+  return results;
+}
+
+async function syncVkPostsForJobs(jobIds, user = null) {
+  return syncVkPosts(await getVkPostRefs(jobIds), user);
+}
+
+module.exports = { getVkPostRefs, syncVkPosts, syncVkPostsForJobs, isJobActive, ARCHIVED_STATUS };
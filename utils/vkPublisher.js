@@ -0,0 +1,187 @@
+// utils/vkPublisher.js
+const axios = require('axios');
+const { getVkCredentials } = require('./vkCredentials');
+require('dotenv').config();
+
+const API_VERSION = '5.131';
+const VK_API_BASE_URL = process.env.VK_API_BASE_URL || 'https://api.vk.com/method';
+
+// VK error codes worth retrying: 6 (too many requests per second),
+// 9 (flood control), 10 (internal server error). null is a network failure.
+const RETRYABLE_VK_ERRORS = [6, 9, 10, null];
+const FLOOD_RETRY_DELAY_MS = 60000;
+// Longest wall post text VK accepts
+const VK_MAX_MESSAGE_LENGTH = 15895;
+// Error 27: the method is unavailable with a community token
+const GROUP_AUTH_ERROR = 27;
+// Errors that mean the token can never post to the community: 5 (authorization failed),
+// 15 (access denied), 27 (community token), 100 (no such community). Anything else,
+// a network failure included, may pass on the next try.
+const TOKEN_REJECTION_ERRORS = [5, 15, GROUP_AUTH_ERROR, 100];
+
+// Bits of a user token's permission mask (account.getAppPermissions)
+const USER_SCOPES = {
+  notify: 1, friends: 2, photos: 4, audio: 8, video: 16, stories: 64, pages: 128, status: 1024,
+  notes: 2048, messages: 4096, wall: 8192, ads: 32768, offline: 65536, docs: 131072,
+  groups: 262144, notifications: 524288, stats: 1048576, email: 4194304, market: 134217728
+};
+
+// `publishDate` (Date) turns the post into a postponed one; VK only accepts future dates
+async function postToVkWall(message, accessToken, ownerId, { publishDate = null } = {}) {
+  const url = `${VK_API_BASE_URL}/wall.post`;
+
+  const data = new URLSearchParams();
+  data.append('owner_id', ownerId);
+  data.append('message', message);
+  data.append('from_group', '1');
+  data.append('access_token', accessToken);
+  data.append('v', API_VERSION);
+  if (publishDate && publishDate.getTime() > Date.now()) {
+    data.append('publish_date', String(Math.floor(publishDate.getTime() / 1000)));
+  }
+
+  try {
+    const res = await axios.post(url, data.toString(), {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    });
+
+    if (res.data.response) {
+      const link = `https://vk.com/wall${ownerId}_${res.data.response.post_id}`;
+      return {
+        success: true,
+        postId: res.data.response.post_id,
+        ownerId,
+        link
+      };
+    } else {
+      return {
+        success: false,
+        error: res.data.error?.error_msg || 'Unknown VK API error',
+        errorCode: res.data.error?.error_code ?? null
+      };
+    }
+  } catch (error) {
+    // Network-level failure: no VK error code, treated as transient by callers
+    return { success: false, error: error.message, errorCode: null };
+  }
+}
+
+async function callVkMethod(method, params, accessToken) {
+  const data = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) data.append(key, String(value));
+  });
+  data.append('access_token', accessToken);
+  data.append('v', API_VERSION);
+
+  try {
+    const res = await axios.post(`${VK_API_BASE_URL}/${method}`, data.toString(), {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    });
+
+    if (res.data.response !== undefined) {
+      return { success: true, response: res.data.response };
+    }
+    return {
+      success: false,
+      error: res.data.error?.error_msg || 'Unknown VK API error',
+      errorCode: res.data.error?.error_code ?? null
+    };
+  } catch (error) {
+    return { success: false, error: error.message, errorCode: null };
+  }
+}
+
+// Postponed posts must get their publish_date again, otherwise VK publishes them right away
+async function editVkPost(message, accessToken, ownerId, postId, { publishDate = null } = {}) {
+  const isFuture = publishDate && publishDate.getTime() > Date.now();
+  return callVkMethod('wall.edit', {
+    owner_id: ownerId,
+    post_id: postId,
+    message,
+    publish_date: isFuture ? Math.floor(publishDate.getTime() / 1000) : null
+  }, accessToken);
+}
+
+async function deleteVkPost(accessToken, ownerId, postId) {
+  return callVkMethod('wall.delete', { owner_id: ownerId, post_id: postId }, accessToken);
+}
+
+function decodeScopeMask(mask) {
+  return Object.keys(USER_SCOPES).filter(scope => (mask & USER_SCOPES[scope]) !== 0);
+}
+
+// Test call against VK: is the token alive, what may it do, and can it post to `groupId`.
+// wall.post needs a user token of a community admin with the wall scope;
+// community tokens are recognised and rejected with an explanation.
+// `transient` marks a failure that says nothing about the token (VK or the network was down).
+async function validateVkToken(token, groupId) {
+  const permissions = await callVkMethod('account.getAppPermissions', {}, token);
+
+  if (!permissions.success && permissions.errorCode === GROUP_AUTH_ERROR) {
+    const groupPermissions = await callVkMethod('groups.getTokenPermissions', {}, token);
+    return {
+      valid: false,
+      transient: false,
+      tokenType: 'group',
+      scopes: (groupPermissions.response?.permissions || []).map(permission => permission.name),
+      error: 'Ключ доступа сообщества не подходит для wall.post, нужен ключ пользователя-администратора'
+    };
+  }
+  if (!permissions.success) {
+    return {
+      valid: false,
+      transient: !TOKEN_REJECTION_ERRORS.includes(permissions.errorCode),
+      tokenType: null,
+      scopes: [],
+      error: `[${permissions.errorCode}] ${permissions.error}`
+    };
+  }
+
+  const scopes = decodeScopeMask(permissions.response);
+  const result = { valid: true, transient: false, tokenType: 'user', scopes, neverExpires: scopes.includes('offline'), error: null };
+
+  const group = await callVkMethod('groups.getById', { group_id: groupId, fields: 'is_admin' }, token);
+  const info = Array.isArray(group.response) ? group.response[0] : group.response?.groups?.[0];
+  if (!group.success) {
+    return {
+      ...result,
+      valid: false,
+      transient: !TOKEN_REJECTION_ERRORS.includes(group.errorCode),
+      error: `Не удалось получить сообщество ${groupId}: [${group.errorCode}] ${group.error}`
+    };
+  }
+  if (!info) {
+    return { ...result, valid: false, error: `Сообщество ${groupId} не найдено` };
+  }
+  result.groupName = info.name;
+
+  if (!scopes.includes('wall')) {
+    return { ...result, valid: false, error: 'У токена нет доступа wall' };
+  }
+  if (info.is_admin !== 1) {
+    return { ...result, valid: false, error: `Владелец токена не администратор сообщества ${groupId}` };
+  }
+
+  return result;
+}
+
+// Publisher interface used by utils/publishers.js
+const vkPublisher = {
+  channel: 'vk',
+  supportsScheduling: true,
+  maxMessageLength: VK_MAX_MESSAGE_LENGTH,
+  // `options` are the stored publish options; `targetGroupId` picks the community
+  getCredentials: options => getVkCredentials({ groupId: options?.targetGroupId || null }),
+  publish: (message, credentials, options) =>
+    postToVkWall(message, credentials.accessToken, credentials.ownerId, options),
+  isRetryable: result => RETRYABLE_VK_ERRORS.includes(result.errorCode),
+  // Flood control (9) needs a much longer pause than the other transient errors
+  minRetryDelayMs: result => (result.errorCode === 9 ? FLOOD_RETRY_DELAY_MS : 0)
+};
+
+module.exports = { getVkCredentials, postToVkWall, editVkPost, deleteVkPost, validateVkToken, vkPublisher };